@@ -0,0 +1,154 @@
+import { round } from './ledger.js';
+
+// Finance reports for /api/admin/summary, computed from the ledger, payments and users.
+// Every report covers [from, to] (ms timestamps); time series have one row per
+// UTC day or ISO week (starting Monday), empty periods included. USD values use
+// the rate each ledger row was written at (its rateId), falling back to the rate
+// that was current at the row's time.
+
+// Ledger kinds that represent an item changing hands for TON
+export const SALE_KINDS = ['purchase', 'gift', 'royalty', 'auction_sale', 'admin_gift', 'offer_sale'];
+export const INTERVALS = ['day', 'week'];
+const DAY = 86400000;
+// Pending payments are grouped by how long they have been waiting
+const AGING = [['<1h', 3600000], ['1-24h', DAY], ['1-7d', 7*DAY], ['>7d', Infinity]];
+
+export function periodStart(ts, interval){
+  const day = Math.floor(ts / DAY) * DAY;
+  if (interval === 'day') return day;
+  return day - ((new Date(day).getUTCDay() + 6) % 7) * DAY;
+}
+const periodLength = (interval)=> interval === 'day' ? DAY : 7*DAY;
+const periodLabel = (start)=> new Date(start).toISOString().slice(0, 10);
+
+function rateLookup(rates){
+  const byId = new Map(rates.map(r=>[r.id, r]));
+  const byTs = [...rates].sort((a,b)=>a.ts-b.ts);
+  const at = (ts)=> byTs.findLast(r=>r.ts<=ts) || byTs[0] || null;
+  return (e)=> (byId.get(e.rateId) || at(e.ts))?.rates.USD || 0;
+}
+
+const isUser = (acc)=> acc.startsWith('user:');
+const userIdOf = (acc)=> acc.slice('user:'.length);
+
+// Options: from, to, interval ('day'|'week'), top (rows in the top lists), treasuryId, now
+export function buildReport(db, { from, to, interval = 'day', top = 10, treasuryId, now = Date.now() }){
+  const ledger = (db.ledger || []).filter(e=>e.ts>=from && e.ts<=to).sort((a,b)=>a.ts-b.ts);
+  const usdRate = rateLookup(db.rates || []);
+  const usd = (e)=> e.amount * usdRate(e);
+
+  // Empty periods are filled in, but never before the first ledger row
+  const first = (db.ledger || []).reduce((m, e)=>Math.min(m, e.ts), Infinity);
+  const start = periodStart(Math.max(from, Math.min(first, to)), interval);
+  const series = [];
+  for (let t = start; t <= to; t += periodLength(interval)){
+    series.push({
+      period: periodLabel(t), start: t, sales: 0, volumeTon: 0, volumeUsd: 0, royaltiesTon: 0,
+      depositsTon: 0, depositsUsd: 0, withdrawalsTon: 0, withdrawalsUsd: 0, buyers: new Set()
+    });
+  }
+  const at = (ts)=> series[Math.floor((periodStart(ts, interval) - start) / periodLength(interval))];
+
+  const buyers = new Set();
+  const collections = new Map();
+  const gifters = new Map();
+  const itemOf = new Map(db.items.map(it=>[it.id, it]));
+  const auctionItem = new Map((db.auctions || []).map(a=>[a.id, a.itemId]));
+  for (const e of ledger){
+    const p = at(e.ts);
+    if (SALE_KINDS.includes(e.kind)){
+      p.volumeTon += e.amount; p.volumeUsd += usd(e);
+      if (e.kind === 'royalty') p.royaltiesTon += e.amount;
+      else {
+        p.sales++;
+        if (isUser(e.debit)){ p.buyers.add(e.debit); buyers.add(e.debit); }
+      }
+      const name = itemOf.get(auctionItem.get(e.ref) || e.ref)?.collection || '(removed items)';
+      const c = collections.get(name) || { collection: name, sales: 0, volumeTon: 0, volumeUsd: 0 };
+      if (e.kind !== 'royalty') c.sales++;
+      c.volumeTon += e.amount; c.volumeUsd += usd(e);
+      collections.set(name, c);
+      if (e.kind === 'gift' && isUser(e.debit)){
+        const g = gifters.get(e.debit) || { sent: 0, spentTon: 0 };
+        g.sent++; g.spentTon += e.amount;
+        gifters.set(e.debit, g);
+      }
+    } else if (e.kind === 'deposit'){
+      p.depositsTon += e.amount; p.depositsUsd += usd(e);
+    } else if (e.kind === 'withdraw'){
+      p.withdrawalsTon += e.amount; p.withdrawalsUsd += usd(e);
+    }
+  }
+  // Gifts of items the sender already owned cost nothing, so they have no ledger row
+  for (const g of db.gifts || []){
+    if (g.price || g.createdAt < from || g.createdAt > to) continue;
+    const key = 'user:'+g.senderId;
+    const s = gifters.get(key) || { sent: 0, spentTon: 0 };
+    s.sent++;
+    gifters.set(key, s);
+  }
+
+  // Float: TON the platform holds for customers (their balances plus held
+  // withdrawals and bids) at the end of each period
+  const customer = (acc)=> (isUser(acc) && userIdOf(acc) !== treasuryId) || acc.startsWith('escrow:');
+  let float = 0;
+  const allRows = [...(db.ledger || [])].filter(e=>e.ts<=to).sort((a,b)=>a.ts-b.ts);
+  let i = 0;
+  const floatRows = series.map(p=>{
+    const end = Math.min(p.start + periodLength(interval) - 1, to);
+    for (; i < allRows.length && allRows[i].ts <= end; i++){
+      const e = allRows[i];
+      if (customer(e.credit)) float += e.amount;
+      if (customer(e.debit)) float -= e.amount;
+    }
+    const rate = usdRate({ ts: end });
+    return { period: p.period, start: p.start, floatTon: round(float), floatUsd: +(float * rate).toFixed(2) };
+  });
+
+  const money = (n)=> +n.toFixed(2);
+  const sales = series.map(p=>({ period: p.period, start: p.start, sales: p.sales, volumeTon: round(p.volumeTon), volumeUsd: money(p.volumeUsd), royaltiesTon: round(p.royaltiesTon), buyers: p.buyers.size }));
+  const flows = series.map(p=>({
+    period: p.period, start: p.start, depositsTon: round(p.depositsTon), withdrawalsTon: round(p.withdrawalsTon), netTon: round(p.depositsTon - p.withdrawalsTon),
+    depositsUsd: money(p.depositsUsd), withdrawalsUsd: money(p.withdrawalsUsd), netUsd: money(p.depositsUsd - p.withdrawalsUsd)
+  }));
+
+  const usersById = new Map(db.users.map(u=>[u.id, u]));
+  const topGifters = [...gifters].map(([acc, g])=>{
+    const u = usersById.get(userIdOf(acc));
+    return { userId: userIdOf(acc), name: u?.name ?? null, giftsSent: g.sent, spentTon: round(g.spentTon), giftsReceived: u?.gifts || 0 };
+  }).sort((a,b)=>b.giftsSent-a.giftsSent || b.giftsReceived-a.giftsReceived).slice(0, top);
+  const topCollections = [...collections.values()]
+    .map(c=>({ ...c, volumeTon: round(c.volumeTon), volumeUsd: money(c.volumeUsd) }))
+    .sort((a,b)=>b.volumeTon-a.volumeTon).slice(0, top);
+
+  const pendingAging = AGING.map(([bucket])=>({ bucket, deposits: 0, depositsTon: 0, withdrawals: 0, withdrawalsTon: 0 }));
+  for (const p of db.payments || []){
+    if (p.status !== 'pending' || p.ts < from || p.ts > to) continue;
+    const row = pendingAging[AGING.findIndex(([, max])=>now - p.ts < max)];
+    if (p.kind === 'deposit'){ row.deposits++; row.depositsTon = round(row.depositsTon + p.amountTon); }
+    else { row.withdrawals++; row.withdrawalsTon = round(row.withdrawalsTon + p.amountTon); }
+  }
+
+  const sum = (rows, k)=> rows.reduce((s, r)=>s + r[k], 0);
+  return {
+    from, to, interval,
+    totals: {
+      sales: sum(sales, 'sales'), volumeTon: round(sum(sales, 'volumeTon')), volumeUsd: money(sum(sales, 'volumeUsd')),
+      royaltiesTon: round(sum(sales, 'royaltiesTon')), depositsTon: round(sum(flows, 'depositsTon')), withdrawalsTon: round(sum(flows, 'withdrawalsTon')),
+      netFlowTon: round(sum(flows, 'netTon')), activeBuyers: buyers.size, floatTon: floatRows.at(-1)?.floatTon ?? 0,
+      pendingPayments: sum(pendingAging, 'deposits') + sum(pendingAging, 'withdrawals')
+    },
+    sales, flows, float: floatRows, topCollections, topGifters, pendingAging
+  };
+}
+
+// Columns of each report for CSV export
+export const REPORTS = {
+  sales:       ['period', 'sales', 'volumeTon', 'volumeUsd', 'royaltiesTon', 'buyers'],
+  flows:       ['period', 'depositsTon', 'withdrawalsTon', 'netTon', 'depositsUsd', 'withdrawalsUsd', 'netUsd'],
+  float:       ['period', 'floatTon', 'floatUsd'],
+  collections: ['collection', 'sales', 'volumeTon', 'volumeUsd'],
+  gifters:     ['userId', 'name', 'giftsSent', 'spentTon', 'giftsReceived'],
+  pending:     ['bucket', 'deposits', 'depositsTon', 'withdrawals', 'withdrawalsTon']
+};
+export const reportRows = (report, name)=> ({ collections: report.topCollections, gifters: report.topGifters, pending: report.pendingAging })[name] || report[name];
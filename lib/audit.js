@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { toCsv } from './csv.js';
+
+// Append-only audit trail of admin actions.
+// Entries: { seq, ts, actorId, actorRole, method, endpoint, action, target: { type, id },
+//   changes: { field: { from, to } }, summary?, ip, prevHash, hash }
+// The log is a JSONL file next to the database rather than part of it, so
+// /api/admin/db/import (which replaces the whole database) can't rewrite it.
+// Each entry's hash covers the previous one, so editing or deleting a line
+// breaks the chain and verify() reports where.
+
+const SECRET_FIELDS = ['pass', 'password', 'secret'];
+const clean = (v)=> v === undefined ? null : v;
+
+// Top-level fields that differ between two versions of a record. Pass null as
+// `before` for created records and as `after` for deleted ones.
+export function diff(before, after){
+  const changes = {};
+  const keys = new Set([...Object.keys(before||{}), ...Object.keys(after||{})]);
+  for (const k of keys){
+    const from = before?.[k], to = after?.[k];
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    changes[k] = SECRET_FIELDS.includes(k) ? { from: '[redacted]', to: '[redacted]' } : { from: clean(from), to: clean(to) };
+  }
+  return changes;
+}
+
+const hashOf = (entry)=> crypto.createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+
+export function createAuditLog(file){
+  let queue = Promise.resolve();
+  let last = null; // { seq, hash } of the newest entry, read once from the file
+
+  async function readAll(){
+    if (!await fs.pathExists(file)) return [];
+    const text = await fs.readFile(file, 'utf-8');
+    return text.split('\n').filter(Boolean).map((line, i)=>{
+      try { return JSON.parse(line); }
+      catch { return { seq: null, corrupt: true, line: i + 1 }; }
+    });
+  }
+
+  // Adds entries (without seq/hash) in order; resolves once they are on disk
+  function append(entries){
+    const job = queue.then(async ()=>{
+      if (!last){
+        const all = await readAll();
+        const tail = all[all.length - 1];
+        last = tail ? { seq: tail.seq || all.length, hash: tail.hash || null } : { seq: 0, hash: null };
+      }
+      let lines = '';
+      for (const e of entries){
+        const entry = { seq: last.seq + 1, ...e, prevHash: last.hash };
+        entry.hash = hashOf(entry);
+        last = { seq: entry.seq, hash: entry.hash };
+        lines += JSON.stringify(entry) + '\n';
+      }
+      await fs.ensureDir(path.dirname(file));
+      await fs.appendFile(file, lines);
+    });
+    // The caller reports the failure; the next append re-reads the tail
+    queue = job.catch(()=>{ last = null; });
+    return job;
+  }
+
+  // All entries, oldest first, after pending appends have landed
+  async function read(){
+    await queue;
+    return readAll();
+  }
+
+  async function verify(){
+    const all = await read();
+    let prev = null;
+    for (const [i, e] of all.entries()){
+      const { hash, ...rest } = e;
+      if (e.corrupt || e.prevHash !== prev || hashOf(rest) !== hash) return { ok: false, entries: all.length, brokenAt: e.seq ?? null, line: i + 1 };
+      prev = hash;
+    }
+    return { ok: true, entries: all.length };
+  }
+
+  return { append, read, verify };
+}
+
+// Filters: actorId, action, targetType, targetId, ip, from, to (ms timestamps)
+export function filterAudit(entries, q){
+  const from = Number(q.from) || 0, to = Number(q.to) || Infinity;
+  return entries.filter(e=>
+    (!q.actorId || e.actorId === q.actorId) &&
+    (!q.action || e.action === q.action) &&
+    (!q.targetType || e.target?.type === q.targetType) &&
+    (!q.targetId || e.target?.id === q.targetId) &&
+    (!q.ip || e.ip === q.ip) &&
+    e.ts >= from && e.ts <= to
+  );
+}
+
+const CSV_COLUMNS = ['seq', 'ts', 'actorId', 'actorRole', 'method', 'endpoint', 'action', 'targetType', 'targetId', 'changes', 'summary', 'ip', 'hash'];
+export function auditCsv(entries){
+  return toCsv(CSV_COLUMNS, entries.map(e=>({ ...e, ts: new Date(e.ts).toISOString(), targetType: e.target?.type, targetId: e.target?.id })));
+}
@@ -0,0 +1,88 @@
+import { nanoid } from 'nanoid';
+
+// Collections and minting.
+// Model: db.collections = [{ id, slug, name, description, coverImg, maxSupply, royaltyPct,
+//   creatorId, createdAt, minted }]
+// Items keep their `collection` name (used by market filters) and gain `collectionId`.
+// New item ids are `<slug>-<serial>`: `minted` only ever goes up, so ids are never
+// reused after a delete or burn, and burned items still count towards maxSupply.
+
+export function slugify(name){
+  return String(name).toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32) || 'c';
+}
+
+function uniqueSlug(db, name){
+  const base = slugify(name);
+  let slug = base, n = 1;
+  while ((db.collections||[]).some(c=>c.slug===slug)) slug = `${base}-${++n}`;
+  return slug;
+}
+
+export const findCollection = (db, idOrName)=> (db.collections||[]).find(c=>c.id===idOrName || c.name===idOrName) || null;
+
+export function createCollection(db, { name, description='', coverImg='', maxSupply=null, royaltyPct=null, creatorId=null }){
+  const c = {
+    id: 'col_'+nanoid(8), slug: uniqueSlug(db, name), name, description, coverImg,
+    maxSupply, royaltyPct, creatorId, createdAt: Date.now(), minted: 0
+  };
+  (db.collections = db.collections || []).push(c);
+  return c;
+}
+
+// Items created with a bare collection name (old clients, bulk imports) get
+// their collection created on the fly.
+export function ensureCollection(db, name, creatorId){
+  return findCollection(db, name) || createCollection(db, { name, creatorId });
+}
+
+export const remainingSupply = (c)=> c.maxSupply === null || c.maxSupply === undefined ? Infinity : Math.max(0, c.maxSupply - c.minted);
+
+// Creates an item in a collection. The caller checks remainingSupply first.
+export function mintItem(db, c, { name, price, img, rating=5, stars=3, level=0, ownerId=null }){
+  let id;
+  do { id = `${c.slug}-${++c.minted}`; } while (db.items.some(x=>x.id===id));
+  const item = {
+    id, name: name || `${c.name} #${c.minted}`, price, rating,
+    img: img || 'https://picsum.photos/seed/'+encodeURIComponent(name || id)+'/800',
+    collection: c.name, collectionId: c.id, stars, level, ownerId, createdAt: Date.now()
+  };
+  db.items.push(item);
+  return item;
+}
+
+// One-time migration: builds collection records from the free-text `collection`
+// names already on items and moves per-name royalties onto them.
+export function openCollections(db){
+  if (db.collections) return;
+  db.collections = [];
+  const names = new Set(db.items.map(it=>it.collection || 'Default'));
+  Object.keys(db.royalties || {}).forEach(n=>names.add(n));
+  for (const name of names){
+    const pct = (db.royalties || {})[name];
+    createCollection(db, { name, royaltyPct: typeof pct === 'number' ? pct : null, creatorId: 'system' });
+  }
+  for (const it of db.items){
+    const c = findCollection(db, it.collection || 'Default');
+    it.collectionId = c.id;
+    c.minted++;
+  }
+  delete db.royalties;
+}
+
+// Public stats: floor price of what can be bought right now, distinct owners and
+// all-time sales volume from the ledger.
+const realOwner = (o)=> o && !String(o).startsWith('escrow:');
+export function collectionStats(db, c, saleKinds){
+  const items = db.items.filter(it=>it.collectionId===c.id || (!it.collectionId && it.collection===c.name));
+  const ids = new Set(items.map(it=>it.id));
+  const buyable = items.filter(it=>!it.auctionId && (!it.ownerId || (it.listing && realOwner(it.ownerId))))
+    .map(it=> it.ownerId ? it.listing.price : it.price);
+  const owners = new Set(items.map(it=>it.ownerId).filter(realOwner));
+  const auctionItem = new Map((db.auctions||[]).map(a=>[a.id, a.itemId]));
+  const volume = (db.ledger||[]).filter(e=>saleKinds.includes(e.kind) && ids.has(auctionItem.get(e.ref) || e.ref)).reduce((s,e)=>s+e.amount, 0);
+  return {
+    supply: items.length, minted: c.minted, maxSupply: c.maxSupply ?? null,
+    floorPrice: buyable.length ? Math.min(...buyable) : null,
+    owners: owners.size, volume: +volume.toFixed(9)
+  };
+}
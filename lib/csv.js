@@ -0,0 +1,10 @@
+// CSV with a header row. Cells holding objects are written as JSON; cells with
+// commas, quotes or line breaks are quoted.
+const cell = (v)=>{
+  const s = v === undefined || v === null ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function toCsv(columns, rows){
+  return [columns.join(','), ...rows.map(r=>columns.map(c=>cell(r[c])).join(','))].join('\n') + '\n';
+}
@@ -0,0 +1,78 @@
+import { migrate, TABLES } from './migrations.js';
+import { round } from './ledger.js';
+
+// Checks a database uploaded to /api/admin/db/import (or read from a snapshot)
+// and describes what replacing the current one with it would change.
+
+const LIST_LIMIT = 50;
+
+// Migrates a copy of `db` and checks it. Returns { db, migration, errors: [{ field, message }] }.
+export function prepareImport(input){
+  const db = structuredClone(input);
+  const errors = [];
+  const err = (field, message)=> errors.push({ field: 'db.'+field, message });
+  let migration = null;
+  try { migration = migrate(db); }
+  catch (e) { err('schemaVersion', e.message.replace(/^\[migrations\] /, '')); return { db, migration, errors }; }
+
+  for (const t of TABLES) if (!Array.isArray(db[t])) err(t, 'must be an array');
+  if (errors.length) return { db, migration, errors };
+
+  const userIds = new Set(), emails = new Set();
+  db.users.forEach((u, i)=>{
+    if (!u || typeof u.id !== 'string' || !u.id) return err(`users[${i}].id`, 'is required');
+    if (userIds.has(u.id)) err(`users[${i}].id`, `${u.id} is duplicated`);
+    userIds.add(u.id);
+    if (typeof u.email !== 'string') return err(`users[${i}].email`, 'is required');
+    const email = u.email.toLowerCase();
+    if (emails.has(email)) err(`users[${i}].email`, `${u.email} is duplicated`);
+    emails.add(email);
+    if (!Number.isFinite(u.balance)) err(`users[${i}].balance`, 'must be a number');
+  });
+  const itemIds = new Set();
+  db.items.forEach((it, i)=>{
+    if (!it || typeof it.id !== 'string' || !it.id) return err(`items[${i}].id`, 'is required');
+    if (itemIds.has(it.id)) err(`items[${i}].id`, `${it.id} is duplicated`);
+    itemIds.add(it.id);
+    if (!(Number.isFinite(it.price) && it.price >= 0)) err(`items[${i}].price`, 'must be a number >= 0');
+    if (it.ownerId && !userIds.has(it.ownerId) && !String(it.ownerId).startsWith('escrow:')) err(`items[${i}].ownerId`, `${it.ownerId} is not a user`);
+  });
+  return { db, migration, errors };
+}
+
+// Records added, removed or changed (by id) between two tables
+function diffTable(before, after){
+  const old = new Map(before.map(r=>[r.id, JSON.stringify(r)]));
+  const now = new Map(after.map(r=>[r.id, JSON.stringify(r)]));
+  const added = [...now.keys()].filter(id=>!old.has(id));
+  const removed = [...old.keys()].filter(id=>!now.has(id));
+  const changed = [...now].filter(([id, s])=>old.has(id) && old.get(id) !== s).map(([id])=>id);
+  const ids = (list)=> list.slice(0, LIST_LIMIT);
+  return { added: added.length, removed: removed.length, changed: changed.length, ids: { added: ids(added), removed: ids(removed), changed: ids(changed) } };
+}
+
+function diffBalances(before, after){
+  const old = new Map(before.map(u=>[u.id, round(u.balance||0)]));
+  const now = new Map(after.map(u=>[u.id, round(u.balance||0)]));
+  const changes = [...new Set([...old.keys(), ...now.keys()])]
+    .map(userId=>({ userId, before: old.get(userId) ?? null, after: now.get(userId) ?? null }))
+    .filter(c=>c.before !== c.after)
+    .map(c=>({ ...c, delta: round((c.after ?? 0) - (c.before ?? 0)) }))
+    .sort((a,b)=>Math.abs(b.delta)-Math.abs(a.delta));
+  const total = (m)=> round([...m.values()].reduce((s, b)=>s+b, 0));
+  return { changed: changes.length, totalBefore: total(old), totalAfter: total(now), users: changes.slice(0, LIST_LIMIT) };
+}
+
+// Summary of replacing `before` with `after`; id lists are capped at 50
+export function diffDatabases(before, after){
+  const tables = {};
+  for (const k of new Set([...Object.keys(before), ...Object.keys(after)])){
+    if (Array.isArray(before[k]) || Array.isArray(after[k])) tables[k] = { before: before[k]?.length ?? 0, after: after[k]?.length ?? 0 };
+  }
+  return {
+    users: diffTable(before.users || [], after.users),
+    items: diffTable(before.items || [], after.items),
+    balances: diffBalances(before.users || [], after.users),
+    tables
+  };
+}
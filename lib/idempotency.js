@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+import { validationError } from './openapi.js';
+
+// Idempotency-Key support for endpoints that move money.
+// Model: db.idempotencyKeys = [{ id, userId, key, endpoint, bodyHash, status:'pending'|'done',
+//   responseStatus?, response?, createdAt, expiresAt }]
+// The first request with a key claims it and its response is stored once sent.
+// Repeats with the same body get that response back (marked Idempotent-Replayed: true),
+// repeats with another body get a 409. Keys are scoped to the caller and the endpoint.
+// 5xx responses aren't kept, so those requests can be retried with the same key.
+// Requests rejected by auth or validation never get here and don't use up their key.
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+const hash = (s)=> crypto.createHash('sha256').update(s).digest('hex');
+// The same JSON with its keys in another order is the same request
+function canonical(v){
+  if (Array.isArray(v)) return `[${v.map(canonical).join(',')}]`;
+  if (v && typeof v === 'object') return `{${Object.keys(v).sort().map(k=>`${JSON.stringify(k)}:${canonical(v[k])}`).join(',')}}`;
+  return JSON.stringify(v) ?? 'null';
+}
+
+// Keys still 'pending' at startup belong to requests a restart cut off
+export function openIdempotency(db){
+  const now = Date.now();
+  db.idempotencyKeys = (db.idempotencyKeys || []).filter(k=>k.status==='done' && k.expiresAt > now);
+}
+
+export function createIdempotency({ transact, ttlMs }){
+  const sent = new Map(); // id -> { status, body } between sending a response and saving it
+
+  const replay = (res, r)=> res.set('Idempotent-Replayed', 'true').status(r.status).json(r.body);
+
+  function save(id){
+    const r = sent.get(id);
+    return transact(async db=>{
+      const rec = (db.idempotencyKeys||[]).find(k=>k.id===id);
+      if (!rec) return;
+      if (!r) { db.idempotencyKeys = db.idempotencyKeys.filter(k=>k.id!==id); return; }
+      rec.status = 'done'; rec.responseStatus = r.status; rec.response = r.body;
+    }).catch(e=>console.error('[idempotency] save failed:', e)).finally(()=>sent.delete(id));
+  }
+
+  return async function idempotent(req, res, next){
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (key === undefined) return next();
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) return validationError(res, [{ in:'header', field: IDEMPOTENCY_HEADER, message:`must be 1 to ${MAX_KEY_LENGTH} characters` }]);
+    const endpoint = req.baseUrl + req.path;
+    const userId = req.user?.id ?? null;
+    const id = hash(`${userId}\n${endpoint}\n${key}`);
+    const bodyHash = hash(canonical(req.body ?? {}));
+    const now = Date.now();
+    const prev = await transact(async db=>{
+      db.idempotencyKeys = (db.idempotencyKeys || []).filter(k=>k.expiresAt > now);
+      const rec = db.idempotencyKeys.find(k=>k.id===id);
+      if (rec) return { ...rec };
+      db.idempotencyKeys.push({ id, userId, key, endpoint, bodyHash, status:'pending', createdAt: now, expiresAt: now + ttlMs });
+      return null;
+    });
+    if (prev){
+      if (prev.bodyHash !== bodyHash) return res.status(409).json({ error:'Idempotency-Key was already used with a different request body' });
+      if (prev.status === 'done') return replay(res, { status: prev.responseStatus, body: prev.response });
+      if (sent.has(id)) return replay(res, sent.get(id));
+      return res.status(409).json({ error:'A request with this Idempotency-Key is still in progress' });
+    }
+    const json = res.json.bind(res);
+    res.json = (body)=>{
+      if (res.statusCode < 500) sent.set(id, { status: res.statusCode, body });
+      return json(body);
+    };
+    res.on('close', ()=>save(id));
+    next();
+  };
+}
@@ -0,0 +1,75 @@
+import { nanoid } from 'nanoid';
+
+// Double-entry balance ledger.
+// Model: db.ledger = [{ id, kind, amount, debit, credit, ref, actor, ts, rateId }]
+// Every row moves `amount` TON out of the `debit` account into the `credit`
+// account. User balances are accounts named `user:<id>`; everything else is a
+// system account:
+//   external          money entering/leaving the platform (deposits, payouts)
+//   sales             primary-market revenue
+//   upgrades          fees paid for NFT upgrades
+//   adjustments       manual admin credits/debits
+//   escrow:withdraw   withdrawals held until approved or rejected
+//   escrow:auction    auction bids held until refunded or settled
+//   escrow:offers     offers held until accepted, rejected, cancelled or expired
+//   equity:opening    balances that existed before the ledger did
+// A user's balance must always equal credits minus debits on their account.
+// `rateId` points at the exchange rate (db.rates) current when the row was written.
+
+const PREFIX = 'user:';
+export const userAccount = (id)=> PREFIX + id;
+export const round = (n)=> +Number(n).toFixed(9);
+
+function applyTo(db, account, delta){
+  if (!account.startsWith(PREFIX)) return;
+  const user = db.users.find(u=>u.id===account.slice(PREFIX.length));
+  if (!user) throw new Error(`[ledger] unknown account ${account}`);
+  user.balance = round((user.balance||0) + delta);
+}
+
+// Records one movement and applies it to any user balance involved. Callers
+// check for sufficient funds first; a zero amount is a no-op.
+export function post(db, { kind, amount, debit, credit, ref = null, actor = null }){
+  amount = round(amount);
+  if (amount === 0) return null;
+  if (!(amount > 0) || !kind || !debit || !credit) throw new Error(`[ledger] invalid entry ${kind} ${amount} ${debit} -> ${credit}`);
+  applyTo(db, debit, -amount);
+  applyTo(db, credit, amount);
+  const entry = { id: nanoid(12), kind, amount, debit, credit, ref, actor, ts: Date.now(), rateId: db.rates?.at(-1)?.id ?? null };
+  (db.ledger = db.ledger || []).push(entry);
+  return entry;
+}
+
+// Gives every balance that predates the ledger an opening entry so that the
+// ledger reconciles from day one. Only runs once per database.
+export function openLedger(db){
+  if (db.ledger) return;
+  db.ledger = [];
+  for (const u of db.users){
+    const bal = round(u.balance||0);
+    if (bal > 0) db.ledger.push({ id: nanoid(12), kind:'opening', amount: bal, debit:'equity:opening', credit: userAccount(u.id), ref:null, actor:'system', ts: Date.now() });
+    if (bal < 0) db.ledger.push({ id: nanoid(12), kind:'opening', amount: -bal, debit: userAccount(u.id), credit:'equity:opening', ref:null, actor:'system', ts: Date.now() });
+  }
+}
+
+export function accountBalances(ledger){
+  const bal = new Map();
+  for (const e of ledger){
+    bal.set(e.debit, round((bal.get(e.debit)||0) - e.amount));
+    bal.set(e.credit, round((bal.get(e.credit)||0) + e.amount));
+  }
+  return bal;
+}
+
+// Compares every user's stored balance with the sum of their ledger rows.
+export function reconcile(db){
+  const bal = accountBalances(db.ledger || []);
+  const users = db.users.map(u=>{
+    const ledger = bal.get(userAccount(u.id)) || 0;
+    const balance = round(u.balance||0);
+    return { userId: u.id, balance, ledger, diff: round(balance - ledger) };
+  });
+  const mismatches = users.filter(u=>Math.abs(u.diff) > 1e-9);
+  const system = Object.fromEntries([...bal].filter(([acc])=>!acc.startsWith(PREFIX)));
+  return { ok: mismatches.length===0, checked: users.length, entries: (db.ledger||[]).length, mismatches, system };
+}
@@ -0,0 +1,29 @@
+// In-memory failed-attempt counters for login throttling. After `maxAttempts`
+// failures within `windowMs` a key (an IP or an email) is locked for `lockMs`.
+// Counters live in the process, so a restart clears them.
+export function createLockout({ maxAttempts, windowMs, lockMs }){
+  const entries = new Map(); // key -> { fails: [ts...], lockedUntil }
+
+  function prune(now){
+    for (const [k, e] of entries){
+      if (e.lockedUntil <= now && !e.fails.some(t=>t > now - windowMs)) entries.delete(k);
+    }
+  }
+
+  return {
+    // ms until the key may try again, 0 when it isn't locked
+    retryAfter(key){
+      const e = entries.get(key);
+      return e ? Math.max(0, e.lockedUntil - Date.now()) : 0;
+    },
+    fail(key){
+      const now = Date.now();
+      if (entries.size > 10000) prune(now);
+      const e = entries.get(key) || { fails: [], lockedUntil: 0 };
+      e.fails = [...e.fails.filter(t=>t > now - windowMs), now];
+      if (e.fails.length >= maxAttempts){ e.lockedUntil = now + lockMs; e.fails = []; }
+      entries.set(key, e);
+    },
+    reset(key){ entries.delete(key); }
+  };
+}
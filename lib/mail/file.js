@@ -0,0 +1,17 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { nanoid } from 'nanoid';
+
+// Writes every message as <ts>-<id>.json into `dir` so tests and developers
+// can pick up reset links without an SMTP server.
+export default function createFileMailer({ dir = './data/mail', from }){
+  return {
+    name: 'file',
+    async send({ to, subject, text }){
+      await fs.ensureDir(dir);
+      const file = path.join(dir, `${Date.now()}-${nanoid(6)}.json`);
+      await fs.writeJson(file, { from, to, subject, text, ts: Date.now() }, { spaces: 2 });
+      return { id: path.basename(file) };
+    }
+  };
+}
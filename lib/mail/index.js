@@ -0,0 +1,12 @@
+import createFileMailer from './file.js';
+
+// Outgoing mail, picked with MAIL_TRANSPORT in .env. A transport implements
+// name and send({ to, subject, text }). `file` is a stand-in for local use
+// that writes each message to MAIL_DIR instead of delivering it.
+const transports = { file: createFileMailer };
+
+export function createMailer(name, opts){
+  const create = transports[String(name).toLowerCase()];
+  if (!create) throw new Error(`[mail] Unknown MAIL_TRANSPORT "${name}" (expected ${Object.keys(transports).join(' or ')})`);
+  return create(opts);
+}
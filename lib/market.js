@@ -0,0 +1,93 @@
+// Market search for GET /api/market/items: text search, filters, sorting and
+// keyset (cursor) pagination. Cursors encode the sort value and id of the last
+// item on a page, so pages stay stable while items are added or sold.
+import { obj, str, num, int } from './schema.js';
+
+export const SORTS = ['createdAt', 'price', 'rating'];
+export const AVAILABILITY = ['all', 'unowned', 'owned', 'listed'];
+const MAX_LIMIT = 200;
+
+// The price a buyer would pay right now: the owner's asking price for listed items
+export const effectivePrice = (it)=> it.ownerId && it.listing ? it.listing.price : it.price;
+
+const sortValue = {
+  createdAt: (it)=> it.createdAt || 0,
+  price: effectivePrice,
+  rating: (it)=> it.rating || 0
+};
+
+export function encodeCursor(it, sort){
+  return Buffer.from(JSON.stringify([sortValue[sort](it), it.id])).toString('base64url');
+}
+function decodeCursor(c){
+  try {
+    const v = JSON.parse(Buffer.from(String(c), 'base64url').toString());
+    if (Array.isArray(v) && v.length === 2 && typeof v[1] === 'string') return v;
+  } catch {}
+  return null;
+}
+
+// The query string of /api/market/items, with its defaults and limits. The
+// route validates against it, so parseQuery() gets clean values.
+export const MARKET_QUERY = obj({
+  q: str({ trim: true }), collection: str(),
+  minPrice: num(), maxPrice: num(), level: num(), minLevel: num(), maxLevel: num(),
+  stars: num(), minStars: num(), maxStars: num(), minRating: num(), maxRating: num(),
+  available: str({ enum: AVAILABILITY, default: 'all' }), sort: str({ enum: SORTS, default: 'createdAt' }),
+  order: str({ enum: ['asc', 'desc'], default: 'desc' }),
+  limit: int({ minimum: 1, maximum: MAX_LIMIT, default: 50 }), cursor: str()
+});
+
+// Maps a query validated with MARKET_QUERY to what queryItems() takes.
+// Returns { errors: [{ field, message }] } only for a cursor that doesn't decode.
+export function parseQuery(q){
+  const cursor = q.cursor ? decodeCursor(q.cursor) : null;
+  if (q.cursor && !cursor) return { errors: [{ field: 'cursor', message: 'is invalid' }] };
+  return { query: {
+    q: (q.q || '').toLowerCase(), collection: q.collection,
+    minPrice: q.minPrice, maxPrice: q.maxPrice,
+    minLevel: q.minLevel ?? q.level, maxLevel: q.maxLevel ?? q.level,
+    minStars: q.minStars ?? q.stars, maxStars: q.maxStars ?? q.stars,
+    minRating: q.minRating, maxRating: q.maxRating,
+    available: q.available, sort: q.sort, order: q.order, limit: q.limit, cursor
+  } };
+}
+
+function matches(it, f){
+  if (f.q && !String(it.name||'').toLowerCase().includes(f.q)) return false;
+  if (f.collection && it.collection !== f.collection) return false;
+  const price = effectivePrice(it);
+  if (f.minPrice !== undefined && !(price >= f.minPrice)) return false;
+  if (f.maxPrice !== undefined && !(price <= f.maxPrice)) return false;
+  if (f.minLevel !== undefined && !((it.level||0) >= f.minLevel)) return false;
+  if (f.maxLevel !== undefined && !((it.level||0) <= f.maxLevel)) return false;
+  if (f.minStars !== undefined && !((it.stars||0) >= f.minStars)) return false;
+  if (f.maxStars !== undefined && !((it.stars||0) <= f.maxStars)) return false;
+  if (f.minRating !== undefined && !((it.rating||0) >= f.minRating)) return false;
+  if (f.maxRating !== undefined && !((it.rating||0) <= f.maxRating)) return false;
+  if (f.available === 'unowned' && it.ownerId) return false;
+  if (f.available === 'owned' && !it.ownerId) return false;
+  if (f.available === 'listed' && !(it.ownerId && it.listing)) return false;
+  return true;
+}
+
+export function queryItems(items, query){
+  const key = sortValue[query.sort];
+  const dir = query.order === 'asc' ? 1 : -1;
+  const cmp = (a, b)=> (key(a) - key(b)) * dir || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0) * dir;
+  const filtered = items.filter(it=>matches(it, query)).sort(cmp);
+  let start = 0;
+  if (query.cursor){
+    const [v, id] = query.cursor;
+    const probe = { id, createdAt: v, rating: v, price: v };
+    start = filtered.findIndex(it=>cmp(it, probe) > 0);
+    if (start === -1) start = filtered.length;
+  }
+  const page = filtered.slice(start, start + query.limit);
+  const more = start + page.length < filtered.length;
+  return {
+    items: page,
+    total: filtered.length,
+    nextCursor: more && page.length ? encodeCursor(page[page.length-1], query.sort) : null
+  };
+}
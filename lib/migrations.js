@@ -0,0 +1,68 @@
+import { openLedger } from './ledger.js';
+import { openCollections } from './collections.js';
+
+// Ordered schema migrations. db.schemaVersion is the number of the last one
+// applied; at startup (and on import) every later one runs in order, inside
+// the same transaction. Append new steps, never edit or reorder shipped ones.
+// Steps must not use the current-schema constants below (e.g. TABLES), which
+// change as the schema grows. After migrating, every table in TABLES exists,
+// so routes don't need `|| []`.
+
+export const TABLES = [
+  'users', 'items', 'history', 'payments', 'chainTransfers', 'notifications', 'ledger', 'rates',
+  'sessions', 'passwordResets', 'idempotencyKeys', 'approvals', 'collections', 'drops', 'gifts', 'auctions', 'offers',
+  'webhooks', 'webhookDeliveries'
+];
+
+export const MIGRATIONS = [
+  { version: 1, name: 'ledger', up(db){
+    // Balances that predate the ledger get opening entries. An empty ledger
+    // counts as missing (the sqlite driver always loads the table).
+    if (!db.ledger?.length) delete db.ledger;
+    openLedger(db);
+  } },
+  { version: 2, name: 'collections', up(db){
+    // Collection names on items (and the old db.royalties map) become records
+    openCollections(db);
+  } },
+  { version: 3, name: 'tables', up(db){
+    // The tables of this schema version; later tables get their own step
+    const tables = [
+      'users', 'items', 'history', 'payments', 'chainTransfers', 'notifications', 'ledger', 'rates',
+      'sessions', 'passwordResets', 'idempotencyKeys', 'approvals', 'collections', 'drops', 'gifts', 'auctions'
+    ];
+    for (const t of tables) if (!Array.isArray(db[t])) db[t] = [];
+    if (!db.upgradeRules || typeof db.upgradeRules !== 'object') db.upgradeRules = {};
+  } },
+  { version: 4, name: 'user-fields', up(db){
+    for (const u of db.users){
+      u.role = u.role || 'user';
+      u.balance = Number(u.balance) || 0;
+      u.owned = Array.isArray(u.owned) ? u.owned : [];
+      u.gifts = u.gifts || 0;
+      u.banned = !!u.banned;
+    }
+  } },
+  { version: 5, name: 'offers', up(db){
+    if (!Array.isArray(db.offers)) db.offers = [];
+  } },
+  { version: 6, name: 'webhooks', up(db){
+    for (const t of ['webhooks', 'webhookDeliveries']) if (!Array.isArray(db[t])) db[t] = [];
+  } }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.at(-1).version;
+
+// Brings db up to SCHEMA_VERSION in place. Returns { from, to, applied: [names] }.
+export function migrate(db){
+  const from = db.schemaVersion || 0;
+  if (from > SCHEMA_VERSION) throw new Error(`[migrations] database schema ${from} is newer than this server (${SCHEMA_VERSION})`);
+  const applied = [];
+  for (const m of MIGRATIONS){
+    if (m.version <= from) continue;
+    m.up(db);
+    db.schemaVersion = m.version;
+    applied.push(m.name);
+  }
+  return { from, to: db.schemaVersion || from, applied };
+}
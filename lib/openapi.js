@@ -0,0 +1,99 @@
+import { validate, toJsonSchema } from './schema.js';
+
+// Declares routes together with their request schemas:
+//   api.post('/api/market/list', { summary, tags, body, query }, auth, handler)
+// Before the last handler (so after auth and permission checks) the body and
+// query are validated against the schemas and replaced with the cleaned values.
+// Invalid requests get one 400 listing every field error:
+//   { error: 'price must be a number; name is required', fields: [{ in, field, message }] }
+// Routes with `idempotent: true` then go through the `idempotency` middleware
+// (lib/idempotency.js), so they accept an Idempotency-Key header.
+// Every declared route also ends up in the OpenAPI document from document().
+// Async handlers that reject are passed to next(), so Express' error handlers
+// answer instead of the process dying on an unhandled rejection.
+
+export function validationError(res, fields){
+  return res.status(400).json({ error: fields.map(f=>`${f.field} ${f.message}`).join('; '), fields });
+}
+
+export function createApi(app, { authMiddleware, idempotency }){
+  const routes = [];
+
+  function check(spec){
+    return (req, res, next)=>{
+      const fields = [];
+      for (const part of ['query', 'body']){
+        if (!spec[part]) continue;
+        const r = validate(spec[part], part === 'body' ? (req.body ?? {}) : req.query, { coerce: part === 'query' });
+        if (r.errors) fields.push(...r.errors.map(e=>({ in: part, ...e })));
+        else req[part] = r.value;
+      }
+      if (fields.length) return validationError(res, fields);
+      next();
+    };
+  }
+
+  const caught = (h)=> (req, res, next)=>{
+    try { Promise.resolve(h(req, res, next)).catch(next); }
+    catch (e) { next(e); }
+  };
+
+  const register = (method)=> (path, spec, ...handlers)=>{
+    const handler = handlers.pop();
+    const secured = handlers.includes(authMiddleware);
+    const permission = handlers.map(h=>h.permission).find(Boolean) || null;
+    routes.push({ method, path, spec, secured, permission });
+    app[method](path, ...[...handlers, check(spec), ...(spec.idempotent ? [idempotency] : []), handler].map(caught));
+  };
+
+  function document(info){
+    const paths = {};
+    for (const { method, path, spec, secured, permission } of routes){
+      const oaPath = path.replace(/:(\w+)/g, '{$1}');
+      const params = [...path.matchAll(/:(\w+)/g)].map(([, name])=>({ name, in: 'path', required: true, schema: { type: 'string' } }));
+      const query = spec.query ? Object.entries(spec.query.properties).map(([name, s])=>({ name, in: 'query', required: !!s.required, schema: toJsonSchema(s), ...(s.description ? { description: s.description } : {}) })) : [];
+      const headers = spec.idempotent ? [{ $ref: '#/components/parameters/IdempotencyKey' }] : [];
+      const op = {
+        summary: spec.summary,
+        tags: spec.tags,
+        ...(permission ? { description: `Requires the \`${permission}\` permission.` } : {}),
+        ...(params.length || query.length || headers.length ? { parameters: [...params, ...query, ...headers] } : {}),
+        ...(spec.body ? { requestBody: { required: true, content: { 'application/json': { schema: toJsonSchema(spec.body) } } } } : {}),
+        ...(secured ? { security: [{ bearerAuth: [] }] } : {}),
+        responses: {
+          200: { description: 'OK' },
+          ...(spec.body || spec.query ? { 400: { description: 'Validation failed', content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } } } } : {}),
+          ...(secured ? { 401: { description: 'Missing, expired or revoked token' } } : {}),
+          ...(permission ? { 403: { description: 'Missing permission' } } : {}),
+          ...(spec.idempotent ? { 409: { description: 'Idempotency-Key reused with a different body, or its first request is still running' } } : {})
+        }
+      };
+      (paths[oaPath] = paths[oaPath] || {})[method] = op;
+    }
+    return {
+      openapi: '3.0.3',
+      info,
+      paths,
+      components: {
+        securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } },
+        parameters: {
+          IdempotencyKey: {
+            name: 'Idempotency-Key', in: 'header', required: false, schema: { type: 'string', maxLength: 255 },
+            description: 'Repeats with the same key and body replay the first response instead of running again'
+          }
+        },
+        schemas: {
+          ValidationError: {
+            type: 'object',
+            properties: {
+              error: { type: 'string' },
+              fields: { type: 'array', items: { type: 'object', properties: { in: { type: 'string' }, field: { type: 'string' }, message: { type: 'string' } } } }
+            }
+          }
+        }
+      }
+    };
+  }
+
+  return { get: register('get'), post: register('post'), routes, document };
+}
@@ -0,0 +1,17 @@
+import createManual from './manual.js';
+import createMock from './mock.js';
+
+// TON payment provider, picked with PAYMENT_PROVIDER in .env (manual | mock).
+// Every provider implements:
+//   name, depositAddress
+//   verifyCallback(req)  transfers from a signed callback, or null if the signature is bad
+//   poll(cursor)         optional: { transfers, cursor } seen since the last poll
+//   send(payment)        pays out an approved withdrawal, resolves to { txHash }
+// A transfer is { txHash, memo, amountTon, ts }; deposits are matched by memo.
+const providers = { manual: createManual, mock: createMock };
+
+export function createProvider(name, opts){
+  const create = providers[String(name).toLowerCase()];
+  if (!create) throw new Error(`[payments] Unknown PAYMENT_PROVIDER "${name}" (expected ${Object.keys(providers).join(' or ')})`);
+  return create(opts);
+}
@@ -0,0 +1,10 @@
+// No automation: admins compare deposits with the wallet by hand and send
+// withdrawals themselves, pasting the tx hash when approving.
+export default function createManual({ address }){
+  return {
+    name: 'manual',
+    depositAddress: address || null,
+    verifyCallback: ()=> null,
+    send: async ()=> ({ txHash: null })
+  };
+}
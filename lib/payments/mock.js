@@ -0,0 +1,44 @@
+import crypto from 'crypto';
+import { signBody, verifyBody, SIGNATURE_HEADER } from './signature.js';
+
+// Local stand-in for a TON gateway so the whole deposit flow can be tested
+// offline. simulate() pretends someone sent TON to the deposit address: the
+// transfer is either delivered as a signed callback to this server or queued
+// for the next poll. Payouts get a fake tx hash, except to addresses starting
+// with `fail`, which are refused so a failed payout can be tried too, and
+// `hang`, which never settle so a crash mid-payout can be tried.
+export default function createMock({ secret, callbackUrl, address }){
+  const inbox = [];
+  let seq = 0;
+  const fakeHash = ()=> crypto.randomBytes(32).toString('hex');
+
+  return {
+    name: 'mock',
+    depositAddress: address || 'EQ-mock-deposit-address',
+    verifyCallback(req){
+      if (!verifyBody(secret, req.rawBody, req.get(SIGNATURE_HEADER))) return null;
+      return Array.isArray(req.body?.transfers) ? req.body.transfers : null;
+    },
+    async poll(cursor = 0){
+      const transfers = inbox.filter(t=>t.seq > cursor).map(({ seq, ...t })=>t);
+      return { transfers, cursor: Math.max(cursor, seq) };
+    },
+    async send(payment){
+      if (String(payment.tonAddress).startsWith('fail')) throw new Error('mock payout refused');
+      if (String(payment.tonAddress).startsWith('hang')) return new Promise(()=>{});
+      return { txHash: fakeHash() };
+    },
+    async simulate({ memo, amountTon, txHash = fakeHash(), via = 'callback' }){
+      const transfer = { txHash, memo, amountTon, ts: Date.now() };
+      if (via === 'poll'){
+        // Cursors outlive restarts of the mock, so keep them time-based
+        seq = Math.max(seq + 1, Date.now());
+        inbox.push({ ...transfer, seq });
+        return { transfer, queued: true };
+      }
+      const raw = JSON.stringify({ transfers: [transfer] });
+      const r = await fetch(callbackUrl, { method:'POST', headers: { 'content-type':'application/json', [SIGNATURE_HEADER]: signBody(secret, raw) }, body: raw });
+      return { transfer, status: r.status, response: await r.json().catch(()=>null) };
+    }
+  };
+}
@@ -0,0 +1,14 @@
+import crypto from 'crypto';
+
+// Callbacks from payment providers carry an HMAC-SHA256 of the raw request body,
+// hex encoded, keyed with PAYMENT_WEBHOOK_SECRET.
+export const SIGNATURE_HEADER = 'x-payment-signature';
+
+export const signBody = (secret, raw)=> crypto.createHmac('sha256', secret).update(raw).digest('hex');
+
+export function verifyBody(secret, raw, signature){
+  if (!secret || !raw || typeof signature !== 'string') return false;
+  const want = Buffer.from(signBody(secret, raw));
+  const got = Buffer.from(signature);
+  return want.length === got.length && crypto.timingSafeEqual(want, got);
+}
@@ -0,0 +1,12 @@
+// TON price from the public CoinGecko API (no key needed for low volumes).
+export default function createCoingecko({ url = 'https://api.coingecko.com/api/v3/simple/price', coin = 'the-open-network' } = {}){
+  return {
+    name: 'coingecko',
+    async fetch(currencies){
+      const r = await fetch(`${url}?ids=${coin}&vs_currencies=${currencies.map(c=>c.toLowerCase()).join(',')}`, { signal: AbortSignal.timeout(10000) });
+      if (!r.ok) throw new Error(`coingecko responded ${r.status}`);
+      const prices = (await r.json())[coin] || {};
+      return Object.fromEntries(currencies.filter(c=>prices[c.toLowerCase()] > 0).map(c=>[c, prices[c.toLowerCase()]]));
+    }
+  };
+}
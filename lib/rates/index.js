@@ -0,0 +1,70 @@
+import { nanoid } from 'nanoid';
+import createCoingecko from './coingecko.js';
+
+// TON exchange rates.
+// Model: db.rates = [{ id, rates: { USD: 3.5, EUR: 3.2, ... }, source, actor, ts }]
+// Append-only: the last row is the current rate and older rows are its history.
+// Payments and ledger rows keep the `rateId` that was current when they were
+// written, so their fiat value can always be recomputed exactly.
+//
+// Rate source, picked with RATE_SOURCE in .env (manual | coingecko). A source
+// implements name and fetch(currencies) -> { USD: n, ... }; with manual, rates
+// only change when an admin sets them.
+const sources = { manual: ()=>({ name:'manual', fetch: null }), coingecko: createCoingecko };
+
+export function createRateSource(name, opts){
+  const create = sources[String(name).toLowerCase()];
+  if (!create) throw new Error(`[rates] Unknown RATE_SOURCE "${name}" (expected ${Object.keys(sources).join(' or ')})`);
+  return create(opts);
+}
+
+// Parses "USD:3.5,EUR:3.2" (the TON_RATES default) into { USD: 3.5, EUR: 3.2 }
+export function parseRates(str){
+  return Object.fromEntries(String(str||'').split(',').map(p=>p.split(':').map(s=>s.trim())).filter(([c, v])=>c && Number(v) > 0).map(([c, v])=>[c.toUpperCase(), Number(v)]));
+}
+
+export const currentRate = (rates)=> (rates && rates.length ? rates[rates.length - 1] : null);
+
+// Validates new rates against the configured currencies. Returns { rates } or { error }.
+export function normalizeRates(raw, currencies){
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error:'rates object required, e.g. { "USD": 3.5 }' };
+  const rates = {};
+  for (const [c, v] of Object.entries(raw)){
+    const code = c.toUpperCase();
+    if (!currencies.includes(code)) return { error:`${code} is not a configured currency (${currencies.join(', ')})` };
+    if (!(typeof v === 'number' && Number.isFinite(v) && v > 0)) return { error:`rate for ${code} must be a number > 0` };
+    rates[code] = v;
+  }
+  if (!Object.keys(rates).length) return { error:'at least one rate required' };
+  return { rates };
+}
+
+// Appends a new current rate; currencies not mentioned keep their last value
+export function setRate(db, rates, { source, actor = null }){
+  db.rates = db.rates || [];
+  const prev = currentRate(db.rates);
+  const row = { id: 'rate_'+nanoid(10), rates: { ...(prev?.rates||{}), ...rates }, source, actor, ts: Date.now() };
+  db.rates.push(row);
+  return row;
+}
+
+// Seeds the first rate once per database
+export function openRates(db, defaults){
+  if (db.rates && db.rates.length) return;
+  setRate(db, defaults, { source:'default', actor:'system' });
+}
+
+const fiat = (ton, rate, code)=> +(ton * rate.rates[code]).toFixed(2);
+
+// { USD: 35, EUR: 32 } for an amount in TON, limited to the requested currencies
+export function fiatPrices(ton, rate, currencies){
+  if (!rate || typeof ton !== 'number') return null;
+  return Object.fromEntries(currencies.filter(c=>rate.rates[c] !== undefined).map(c=>[c, fiat(ton, rate, c)]));
+}
+
+// Currencies asked for with ?fiat=USD,EUR (or ?fiat=all); [] when not asked
+export function requestedFiat(q, currencies){
+  if (!q) return [];
+  if (String(q).toLowerCase() === 'all') return currencies;
+  return String(q).split(',').map(c=>c.trim().toUpperCase()).filter(c=>currencies.includes(c));
+}
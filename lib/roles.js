@@ -0,0 +1,37 @@
+// Staff roles and the permissions each one grants. Routes check a permission,
+// never a role name. `admin` is the original all-powerful role and stays an
+// alias of superadmin so existing admin accounts keep working.
+// Customer roles (`user`, the system `treasury`) have no permissions.
+
+export const PERMISSIONS = {
+  'users.read':       'List users',
+  'users.manage':     'Create users, ban them and end their sessions',
+  'users.balance':    'Credit or debit balances',
+  'users.roles':      'Assign roles and create staff accounts',
+  'payments.read':    'View deposits, withdrawals and incoming transfers',
+  'payments.approve': 'Approve or reject deposits and withdrawals',
+  'rates.manage':     'Set or refresh exchange rates',
+  'catalog.manage':   'Items, collections, drops, auctions, royalties and upgrade rules',
+  'items.transfer':   'Transfer, burn or gift items',
+  'reports.read':     'Summary, history and ledger reports',
+  'audit.read':       'Read and export the audit log',
+  'approvals.review': 'Approve or reject sensitive actions requested by another admin',
+  'db.export':        'Export the database',
+  'db.import':        'Replace the database',
+  'webhooks.manage':  'Register webhook endpoints and redeliver events'
+};
+
+const ALL = Object.keys(PERMISSIONS);
+export const ROLES = {
+  support:    ['users.read', 'users.manage', 'payments.read', 'reports.read', 'audit.read'],
+  finance:    ['users.read', 'users.balance', 'payments.read', 'payments.approve', 'rates.manage', 'reports.read', 'audit.read', 'approvals.review'],
+  catalog:    ['catalog.manage', 'items.transfer', 'reports.read'],
+  superadmin: ALL,
+  admin:      ALL
+};
+export const CUSTOMER_ROLES = ['user'];
+export const ASSIGNABLE_ROLES = [...CUSTOMER_ROLES, ...Object.keys(ROLES)];
+
+export const isStaff = (role)=> Object.hasOwn(ROLES, role);
+export const permissionsOf = (role)=> (isStaff(role) ? ROLES[role] : []);
+export const hasPermission = (role, perm)=> permissionsOf(role).includes(perm);
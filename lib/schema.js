@@ -0,0 +1,106 @@
+// Request schemas: a small subset of JSON Schema, written with the builders
+// below, used both to check requests and to describe them in /api/docs.
+//   obj({ name: str({ required: true }), price: num({ minimum: 0 }) })
+// Supported keywords: type, enum, nullable, default, minimum, maximum,
+// exclusiveMinimum, minLength, maxLength, pattern, format:'email', items,
+// minItems, maxItems, properties, additionalProperties, plus two of our own:
+// `required: true` on a property (becomes the object's required list in OpenAPI)
+// and `trim: true` on strings.
+// Objects keep only the properties they declare; additionalProperties: true keeps
+// the rest as is and a schema checks them. Objects without properties are free-form.
+
+export const str = (o = {})=> ({ type: 'string', ...o });
+export const num = (o = {})=> ({ type: 'number', ...o });
+export const int = (o = {})=> ({ type: 'integer', ...o });
+export const bool = (o = {})=> ({ type: 'boolean', ...o });
+export const arr = (items, o = {})=> ({ type: 'array', items, ...o });
+export const obj = (properties, o = {})=> ({ type: 'object', properties, ...o });
+export const map = (values, o = {})=> ({ type: 'object', additionalProperties: values, ...o });
+export const any = (o = {})=> ({ ...o });
+export const required = (s)=> ({ ...s, required: true });
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const isPlainObject = (v)=> v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Query strings only carry text, so numbers and booleans are parsed first
+function coerce(s, v){
+  if (typeof v !== 'string') return v;
+  if ((s.type === 'number' || s.type === 'integer') && v.trim() !== '' && Number.isFinite(Number(v))) return Number(v);
+  if (s.type === 'boolean' && (v === 'true' || v === 'false')) return v === 'true';
+  return v;
+}
+
+function check(s, v, path, errors, opts){
+  const err = (message)=> { errors.push({ field: path || '(root)', message }); return undefined; };
+  if (v === undefined || (opts.coerce && v === '')){
+    if (s.required) return err('is required');
+    return s.default !== undefined ? structuredClone(s.default) : undefined;
+  }
+  if (v === null) return s.nullable ? null : err(s.required ? 'is required' : 'must not be null');
+  if (opts.coerce) v = coerce(s, v);
+  switch (s.type){
+    case 'string':
+      if (typeof v !== 'string') return err('must be a string');
+      if (s.trim) v = v.trim();
+      if (s.minLength !== undefined && v.length < s.minLength) return err(s.minLength === 1 ? 'must not be empty' : `must be at least ${s.minLength} characters`);
+      if (s.maxLength !== undefined && v.length > s.maxLength) return err(`must be at most ${s.maxLength} characters`);
+      if (s.pattern && !new RegExp(s.pattern).test(v)) return err(`must match ${s.pattern}`);
+      if (s.format === 'email' && !EMAIL.test(v)) return err('must be an email address');
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof v !== 'number' || !Number.isFinite(v)) return err(`must be ${s.type === 'integer' ? 'an integer' : 'a number'}`);
+      if (s.type === 'integer' && !Number.isInteger(v)) return err('must be an integer');
+      if (s.minimum !== undefined && v < s.minimum) return err(`must be >= ${s.minimum}`);
+      if (s.exclusiveMinimum !== undefined && v <= s.exclusiveMinimum) return err(`must be > ${s.exclusiveMinimum}`);
+      if (s.maximum !== undefined && v > s.maximum) return err(`must be <= ${s.maximum}`);
+      break;
+    case 'boolean':
+      if (typeof v !== 'boolean') return err('must be a boolean');
+      break;
+    case 'array': {
+      if (!Array.isArray(v)) return err('must be an array');
+      if (s.minItems !== undefined && v.length < s.minItems) return err(`must have at least ${s.minItems} item${s.minItems === 1 ? '' : 's'}`);
+      if (s.maxItems !== undefined && v.length > s.maxItems) return err(`must have at most ${s.maxItems} items`);
+      return s.items ? v.map((x, i)=>check(s.items, x, `${path}[${i}]`, errors, opts)) : v;
+    }
+    case 'object': {
+      if (!isPlainObject(v)) return err('must be an object');
+      const props = s.properties || {};
+      const extra = s.additionalProperties ?? !s.properties;
+      const out = {};
+      for (const [k, x] of Object.entries(v)){
+        if (Object.hasOwn(props, k) || !extra) continue;
+        const r = extra === true ? x : check(extra, x, path ? `${path}.${k}` : k, errors, opts);
+        if (r !== undefined) out[k] = r;
+      }
+      for (const [k, ps] of Object.entries(props)){
+        const r = check(ps, v[k], path ? `${path}.${k}` : k, errors, opts);
+        if (r !== undefined) out[k] = r;
+      }
+      return out;
+    }
+  }
+  if (s.enum && !s.enum.includes(v)) return err(`must be one of ${s.enum.join(', ')}`);
+  return v;
+}
+
+// Returns { value } with only whitelisted fields, or { errors: [{ field, message }] }
+export function validate(schema, value, { coerce = false } = {}){
+  const errors = [];
+  const out = check(schema, value, '', errors, { coerce });
+  return errors.length ? { errors } : { value: out };
+}
+
+// JSON Schema for OpenAPI: `required: true` on properties becomes a required list
+export function toJsonSchema(s){
+  const { required: _, trim: __, ...out } = s;
+  if (s.items) out.items = toJsonSchema(s.items);
+  if (s.additionalProperties && s.additionalProperties !== true) out.additionalProperties = toJsonSchema(s.additionalProperties);
+  if (s.properties){
+    out.properties = Object.fromEntries(Object.entries(s.properties).map(([k, p])=>[k, toJsonSchema(p)]));
+    const req = Object.entries(s.properties).filter(([, p])=>p.required).map(([k])=>k);
+    if (req.length) out.required = req;
+  }
+  return out;
+}
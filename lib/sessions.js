@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+import { nanoid } from 'nanoid';
+
+// Login sessions and their refresh tokens.
+// Model: db.sessions = [{ id, userId, refreshHash, ip, userAgent, createdAt, lastUsedAt,
+//   expiresAt, revokedAt?, revokedReason? }]
+// Access tokens are short-lived JWTs carrying the session id (`sid`). A refresh
+// token is `<sessionId>.<secret>`; only a hash of the secret is stored and every
+// refresh replaces it. Presenting an already-rotated secret means the token was
+// copied, so the whole session is revoked.
+// Model: db.passwordResets = [{ id, userId, tokenHash, createdAt, expiresAt, usedAt? }]
+
+const hash = (s)=> crypto.createHash('sha256').update(String(s)).digest('hex');
+const secret = ()=> crypto.randomBytes(32).toString('base64url');
+const sameHash = (a, b)=> a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+export function createSession(db, user, { ip = null, userAgent = null, ttlMs }){
+  const s = secret();
+  const now = Date.now();
+  const session = { id: 'ses_'+nanoid(16), userId: user.id, refreshHash: hash(s), ip, userAgent, createdAt: now, lastUsedAt: now, expiresAt: now + ttlMs };
+  (db.sessions = db.sessions || []).push(session);
+  return { session, refreshToken: `${session.id}.${s}` };
+}
+
+// Returns { session, refreshToken } or { error, status, revoked? }
+export function rotateSession(db, refreshToken, { ttlMs }){
+  const [id, s] = String(refreshToken || '').split('.');
+  const session = id && s ? (db.sessions||[]).find(x=>x.id===id) : null;
+  if (!session) return { error:'Invalid refresh token', status: 401 };
+  if (session.revokedAt) return { error:'Session revoked', status: 401 };
+  if (session.expiresAt <= Date.now()) return { error:'Session expired', status: 401 };
+  if (!sameHash(session.refreshHash, hash(s))){
+    revoke(session, 'refresh_reuse');
+    return { error:'Refresh token reused; session revoked', status: 401, revoked: [session] };
+  }
+  const next = secret();
+  session.refreshHash = hash(next);
+  session.lastUsedAt = Date.now();
+  session.expiresAt = Date.now() + ttlMs;
+  return { session, refreshToken: `${session.id}.${next}` };
+}
+
+function revoke(session, reason){
+  session.revokedAt = Date.now();
+  session.revokedReason = reason;
+}
+
+// Revokes every live session of a user (except `keepId`); returns the revoked ones
+export function revokeUserSessions(db, userId, reason, keepId = null){
+  const list = (db.sessions||[]).filter(x=>x.userId===userId && !x.revokedAt && x.id!==keepId);
+  list.forEach(x=>revoke(x, reason));
+  return list;
+}
+
+export function revokeSession(db, id, reason){
+  const session = (db.sessions||[]).find(x=>x.id===id && !x.revokedAt);
+  if (session) revoke(session, reason);
+  return session || null;
+}
+
+// Drops sessions that can no longer be used or matter to the revocation list
+export function pruneSessions(db, keepRevokedMs){
+  const now = Date.now();
+  db.sessions = (db.sessions||[]).filter(x=> x.revokedAt ? x.revokedAt > now - keepRevokedMs : x.expiresAt > now);
+  db.passwordResets = (db.passwordResets||[]).filter(x=>x.expiresAt > now && !x.usedAt);
+}
+
+export const activeSessions = (db, userId)=> (db.sessions||[]).filter(x=>x.userId===userId && !x.revokedAt && x.expiresAt > Date.now());
+
+// Returns the raw token to mail; only its hash is stored. Earlier unused links stop working.
+export function createPasswordReset(db, user, ttlMs){
+  const token = secret();
+  db.passwordResets = (db.passwordResets||[]).filter(x=>x.userId!==user.id);
+  db.passwordResets.push({ id: nanoid(12), userId: user.id, tokenHash: hash(token), createdAt: Date.now(), expiresAt: Date.now() + ttlMs });
+  return token;
+}
+
+export function usePasswordReset(db, token){
+  const h = hash(token || '');
+  const r = (db.passwordResets||[]).find(x=>sameHash(x.tokenHash, h));
+  if (!r || r.usedAt || r.expiresAt <= Date.now()) return null;
+  r.usedAt = Date.now();
+  return r;
+}
@@ -0,0 +1,63 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { nanoid } from 'nanoid';
+
+// Copies of the whole database taken before imports, restores and other
+// destructive admin actions, so they can be undone with /api/admin/db/restore.
+// Like the audit log they live in their own directory, outside the database:
+//   <dir>/<id>.json   the database at that moment
+//   <dir>/index.json  [{ id, ts, reason, actorId, schemaVersion, tables: { name: rows } }], newest last
+// Only the newest `keep` snapshots are kept.
+
+const tableCounts = (db)=> Object.fromEntries(Object.entries(db).filter(([,v])=>Array.isArray(v)).map(([k,v])=>[k, v.length]));
+
+export function createSnapshots(dir, { keep = 20 } = {}){
+  let queue = Promise.resolve();
+  const indexFile = path.join(dir, 'index.json');
+  const fileOf = (id)=> path.join(dir, `${id}.json`);
+
+  const readIndex = async ()=> (await fs.pathExists(indexFile)) ? fs.readJson(indexFile) : [];
+  async function writeFile(file, text){
+    await fs.writeFile(file + '.tmp', text);
+    await fs.rename(file + '.tmp', file);
+  }
+
+  // Serializes the database right away, so callers may keep mutating it, but
+  // only writes it on save(). Inside a transaction, save once it has committed.
+  function capture(db, { reason, actorId = null }){
+    const ts = Date.now();
+    const meta = { id: `${ts}-${nanoid(6)}`, ts, reason, actorId, schemaVersion: db.schemaVersion ?? null, tables: tableCounts(db) };
+    const text = JSON.stringify(db);
+    function save(){
+      const job = queue.then(async ()=>{
+        await fs.ensureDir(dir);
+        await writeFile(fileOf(meta.id), text);
+        const index = [...await readIndex(), meta];
+        const dropped = index.splice(0, Math.max(0, index.length - keep));
+        await writeFile(indexFile, JSON.stringify(index, null, 2));
+        await Promise.all(dropped.map(s=>fs.remove(fileOf(s.id))));
+        return meta;
+      });
+      queue = job.catch(()=>{});
+      return job;
+    }
+    return { meta, save };
+  }
+
+  const take = (db, opts)=> capture(db, opts).save();
+
+  // Newest first
+  async function list(){
+    await queue;
+    return (await readIndex()).reverse();
+  }
+
+  async function read(id){
+    await queue;
+    const meta = (await readIndex()).find(s=>s.id===id);
+    if (!meta) return null;
+    return { meta, db: await fs.readJson(fileOf(id)) };
+  }
+
+  return { capture, take, list, read };
+}
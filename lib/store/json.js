@@ -0,0 +1,109 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { defaultDB } from './schema.js';
+const DB_PATH = process.env.DB_PATH || './data/db.json';
+const BACKUPS = Math.max(1, Number(process.env.DB_BACKUPS) || 5);
+const BACKUP_EVERY_MS = Number(process.env.DB_BACKUP_INTERVAL_MIN ?? 10) * 60000;
+
+const tmpPath = ()=> DB_PATH + '.tmp';
+const backupPath = (n)=> `${DB_PATH}.${n}.bak`;
+
+async function readJSON(file){
+  if (!(await fs.pathExists(file))) return undefined;
+  const raw = await fs.readFile(file, 'utf-8');
+  if (!raw.trim()) return undefined;
+  return JSON.parse(raw);
+}
+
+// Backups rotate at most once per DB_BACKUP_INTERVAL_MIN, not on every save,
+// so they span some history instead of the last few transactions
+let lastBackupAt;
+async function backupDue(){
+  if (lastBackupAt === undefined) lastBackupAt = (await fs.stat(backupPath(1)).catch(()=>null))?.mtimeMs ?? 0;
+  return Date.now() - lastBackupAt >= BACKUP_EVERY_MS;
+}
+
+// Write to a temp file, fsync it, keep the previous copy as backup #1 when
+// `rotate` is set and atomically rename the temp file over db.json. A crash at
+// any point leaves either the old or the new file in place, never a truncated one.
+async function writeAtomic(db, { rotate = false } = {}){
+  await fs.ensureDir(path.dirname(DB_PATH));
+  const tmp = tmpPath();
+  const fd = await fs.open(tmp, 'w');
+  try {
+    await fs.writeFile(fd, JSON.stringify(db, null, 2));
+    await fs.fsync(fd);
+  } finally {
+    await fs.close(fd);
+  }
+  if (rotate && await fs.pathExists(DB_PATH)){
+    for (let n = BACKUPS; n > 1; n--){
+      if (await fs.pathExists(backupPath(n-1))) await fs.rename(backupPath(n-1), backupPath(n));
+    }
+    await fs.copyFile(DB_PATH, backupPath(1));
+    lastBackupAt = Date.now();
+  }
+  await fs.rename(tmp, DB_PATH);
+}
+
+// Recover db.json from the newest readable backup. Throws instead of falling
+// back to an empty database so a corrupt file can never silently wipe users.
+async function recover(reason){
+  for (let n = 1; n <= BACKUPS; n++){
+    let db;
+    try { db = await readJSON(backupPath(n)); } catch { continue; }
+    if (!db) continue;
+    console.error(`[store] ${DB_PATH} ${reason}; restoring from ${backupPath(n)}`);
+    await fs.copyFile(DB_PATH, `${DB_PATH}.corrupt-${Date.now()}`).catch(()=>{});
+    await writeAtomic(db);
+    return db;
+  }
+  return null;
+}
+
+let recovered = false;
+async function open(){
+  if (recovered) return;
+  await fs.remove(tmpPath());
+  let db, reason = 'is missing or empty';
+  try { db = await readJSON(DB_PATH); } catch (e) { reason = 'is corrupt ('+e.message+')'; }
+  if (!db){
+    db = await recover(reason);
+    if (!db){
+      if (reason !== 'is missing or empty') throw new Error(`[store] ${DB_PATH} ${reason} and no readable backup was found; refusing to start with an empty database`);
+      await writeAtomic(structuredClone(defaultDB));
+    }
+  }
+  recovered = true;
+}
+
+async function load(){
+  await open();
+  const db = await readJSON(DB_PATH);
+  if (!db) throw new Error(`[store] ${DB_PATH} disappeared or is empty`);
+  return db;
+}
+
+// JSON file adapter: the whole database lives in one document that is read on
+// every call. Fine for small installs; use the sqlite driver as data grows.
+export default {
+  name: 'json',
+  open,
+  load,
+  async transaction(mutator){
+    const db = await load();
+    const result = await mutator(db);
+    await writeAtomic(db, { rotate: await backupDue() });
+    return result;
+  },
+  // Imports always keep the database they replace
+  async replace(db){
+    await open();
+    await writeAtomic(db, { rotate: true });
+  },
+  async select(table, where = {}){
+    const rows = (await load())[table] || [];
+    const keys = Object.keys(where);
+    return keys.length ? rows.filter(r=>keys.every(k=>r[k]===where[k])) : rows;
+  }
+};
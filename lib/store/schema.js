@@ -0,0 +1,76 @@
+export const defaultDB = {
+  users: [],
+  items: [],
+  history: []
+};
+
+// Table layout used by the sqlite driver. Listed fields become real columns
+// (indexed where marked); anything else a record carries is kept in its
+// `extra` JSON column so new fields never need a schema change. Top-level
+// db keys without a table here are stored whole in the `kv` table.
+//   type: text | real | int | bool | json
+export const tables = {
+  users: {
+    key: 'id',
+    columns: { id:'text', name:'text', email:'text', pass:'text', role:'text', balance:'real', owned:'json', gifts:'int', banned:'bool' },
+    indexes: ['email']
+  },
+  items: {
+    key: 'id',
+    columns: { id:'text', name:'text', price:'real', rating:'real', img:'text', collection:'text', stars:'int', level:'int', ownerId:'text', createdAt:'int' },
+    indexes: ['ownerId', 'collection'],
+    keepNull: ['ownerId']
+  },
+  payments: {
+    key: 'id',
+    columns: { id:'text', userId:'text', kind:'text', amountTon:'real', usd:'real', tonAddress:'text', status:'text', ts:'int', adminId:'text', note:'text' },
+    indexes: ['userId', 'status']
+  },
+  history: {
+    key: null, // append-only, ordered by rowid
+    columns: { userId:'text', t:'text', ts:'int' },
+    indexes: ['userId']
+  },
+  ledger: {
+    key: 'id',
+    columns: { id:'text', kind:'text', amount:'real', debit:'text', credit:'text', ref:'text', actor:'text', ts:'int' },
+    indexes: ['debit', 'credit', 'ref', 'kind'],
+    keepNull: ['ref', 'actor']
+  },
+  rates: {
+    key: 'id',
+    columns: { id:'text', rates:'json', source:'text', actor:'text', ts:'int' },
+    indexes: ['ts'],
+    keepNull: ['actor']
+  },
+  sessions: {
+    key: 'id',
+    columns: { id:'text', userId:'text', refreshHash:'text', ip:'text', userAgent:'text', createdAt:'int', lastUsedAt:'int', expiresAt:'int', revokedAt:'int', revokedReason:'text' },
+    indexes: ['userId']
+  },
+  idempotencyKeys: {
+    key: 'id',
+    columns: { id:'text', userId:'text', key:'text', endpoint:'text', bodyHash:'text', status:'text', responseStatus:'int', response:'json', createdAt:'int', expiresAt:'int' },
+    indexes: ['expiresAt']
+  },
+  offers: {
+    key: 'id',
+    columns: { id:'text', itemId:'text', buyerId:'text', ownerId:'text', amount:'real', message:'text', status:'text', counter:'json', createdAt:'int', expiresAt:'int', resolvedAt:'int' },
+    indexes: ['itemId', 'buyerId', 'ownerId'],
+    keepNull: ['expiresAt']
+  },
+  webhooks: {
+    key: 'id',
+    columns: { id:'text', url:'text', events:'json', secret:'text', description:'text', active:'bool', createdAt:'int', createdBy:'text' }
+  },
+  webhookDeliveries: {
+    key: 'id',
+    columns: { id:'text', webhookId:'text', eventId:'text', type:'text', payload:'json', status:'text', attempts:'int', nextAttemptAt:'int', log:'json', createdAt:'int' },
+    indexes: ['webhookId', 'status']
+  },
+  notifications: {
+    key: 'id',
+    columns: { id:'text', userId:'text', type:'text', payload:'json', read:'bool', ts:'int' },
+    indexes: ['userId']
+  }
+};
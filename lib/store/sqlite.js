@@ -0,0 +1,188 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { defaultDB, tables } from './schema.js';
+const SQLITE_PATH = process.env.SQLITE_PATH || './data/db.sqlite';
+
+const SQL_TYPES = { text:'TEXT', real:'REAL', int:'INTEGER', bool:'INTEGER', json:'TEXT' };
+
+let conn = null;
+const stmts = new Map();
+function prepare(sql){
+  if (!stmts.has(sql)) stmts.set(sql, conn.prepare(sql));
+  return stmts.get(sql);
+}
+
+async function open(){
+  if (conn) return;
+  let Database;
+  try { Database = (await import('better-sqlite3')).default; }
+  catch (e) { throw new Error('[store] STORE_DRIVER=sqlite needs the better-sqlite3 package: '+e.message); }
+  await fs.ensureDir(path.dirname(SQLITE_PATH));
+  conn = new Database(SQLITE_PATH);
+  conn.pragma('journal_mode = WAL');
+  conn.pragma('synchronous = FULL');
+  for (const [name, t] of Object.entries(tables)){
+    const cols = Object.entries(t.columns).map(([c, type])=> `"${c}" ${SQL_TYPES[type]}${c===t.key ? ' PRIMARY KEY' : ''}`);
+    conn.exec(`CREATE TABLE IF NOT EXISTS "${name}" (${t.key ? '' : 'seq INTEGER PRIMARY KEY AUTOINCREMENT, '}${cols.join(', ')}, extra TEXT)`);
+    for (const c of t.indexes || []) conn.exec(`CREATE INDEX IF NOT EXISTS "${name}_${c}" ON "${name}" ("${c}")`);
+  }
+  conn.exec('CREATE TABLE IF NOT EXISTS kv (key TEXT PRIMARY KEY, value TEXT)');
+}
+
+function encode(t, rec){
+  const row = {}, extra = {};
+  for (const [k, v] of Object.entries(rec)){
+    const type = t.columns[k];
+    // Values a column cannot hold as-is (e.g. an object in a text column) go to extra
+    if (!type || (type !== 'json' && v !== null && typeof v === 'object') || (typeof v === 'boolean' && type !== 'bool')) { extra[k] = v; continue; }
+    if (v === undefined || v === null) row[k] = null;
+    else if (type === 'json') row[k] = JSON.stringify(v);
+    else if (type === 'bool') row[k] = v ? 1 : 0;
+    else row[k] = v;
+  }
+  for (const k of Object.keys(t.columns)) if (!(k in row)) row[k] = null;
+  row.extra = Object.keys(extra).length ? JSON.stringify(extra) : null;
+  return row;
+}
+
+function decode(t, row){
+  const rec = {};
+  for (const [k, type] of Object.entries(t.columns)){
+    const v = row[k];
+    if (v === null) { if (t.keepNull?.includes(k)) rec[k] = null; continue; }
+    if (type === 'json') rec[k] = JSON.parse(v);
+    else if (type === 'bool') rec[k] = !!v;
+    else rec[k] = v;
+  }
+  return row.extra ? Object.assign(rec, JSON.parse(row.extra)) : rec;
+}
+
+function insertSQL(name, t){
+  const cols = [...Object.keys(t.columns), 'extra'];
+  const quoted = cols.map(c=>`"${c}"`).join(', ');
+  const params = cols.map(c=>'@'+c).join(', ');
+  if (!t.key) return `INSERT INTO "${name}" (${quoted}) VALUES (${params})`;
+  // Upsert instead of INSERT OR REPLACE so updated rows keep their rowid (and order)
+  const sets = cols.filter(c=>c!==t.key).map(c=>`"${c}"=excluded."${c}"`).join(', ');
+  return `INSERT INTO "${name}" (${quoted}) VALUES (${params}) ON CONFLICT("${t.key}") DO UPDATE SET ${sets}`;
+}
+
+const readTable = (name, t)=> prepare(`SELECT * FROM "${name}" ORDER BY rowid`).all().map(r=>decode(t, r));
+const readKv = (db)=> { for (const { key, value } of prepare('SELECT key, value FROM kv').all()) db[key] = JSON.parse(value); };
+
+function loadAll(){
+  const db = structuredClone(defaultDB);
+  readKv(db);
+  for (const [name, t] of Object.entries(tables)) db[name] = readTable(name, t);
+  return db;
+}
+
+// How a table's records looked when they were read, so only the rows a
+// mutator actually touched are written back
+const snapshotTable = (t, rows)=> t.key ? new Map(rows.map(r=>[r[t.key], JSON.stringify(r)])) : rows.map(r=>JSON.stringify(r));
+const snapshotKv = (db)=> new Map(Object.keys(db).filter(k=>!tables[k]).map(k=>[k, JSON.stringify(db[k])]));
+
+// The database as a mutator sees it: the small kv values are read up front,
+// a table only the first time the mutator touches it. `snap` holds what each
+// touched table looked like when it was read.
+function lazyDB(){
+  const db = structuredClone(defaultDB);
+  readKv(db);
+  const snap = { kv: snapshotKv(db), tables: new Map() };
+  const rows = new Map();
+  const touch = (name)=>{
+    if (rows.has(name)) return;
+    const loaded = readTable(name, tables[name]);
+    rows.set(name, loaded);
+    snap.tables.set(name, snapshotTable(tables[name], loaded));
+  };
+  for (const name of Object.keys(tables)){
+    Object.defineProperty(db, name, {
+      enumerable: true, configurable: true,
+      get(){ touch(name); return rows.get(name); },
+      set(v){ touch(name); rows.set(name, v); }
+    });
+  }
+  return { db, snap };
+}
+
+// Writes the difference between db and snap: every table in snap.tables plus the kv values
+function writeDiff(db, snap){
+  for (const [name, before] of snap.tables){
+    const t = tables[name];
+    const rows = db[name] || [];
+    const insert = prepare(insertSQL(name, t));
+    if (!t.key){
+      const appendOnly = rows.length >= before.length && before.every((s, i)=> s === JSON.stringify(rows[i]));
+      if (!appendOnly) prepare(`DELETE FROM "${name}"`).run();
+      for (const r of rows.slice(appendOnly ? before.length : 0)) insert.run(encode(t, r));
+      continue;
+    }
+    const seen = new Set();
+    for (const r of rows){
+      const id = r[t.key];
+      if (id === undefined || id === null) throw new Error(`[store] ${name} record without ${t.key}`);
+      seen.add(id);
+      if (before.get(id) !== JSON.stringify(r)) insert.run(encode(t, r));
+    }
+    const del = prepare(`DELETE FROM "${name}" WHERE "${t.key}" = ?`);
+    for (const id of before.keys()) if (!seen.has(id)) del.run(id);
+  }
+  const put = prepare('INSERT INTO kv (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value=excluded.value');
+  for (const k of Object.keys(db)){
+    if (tables[k]) continue;
+    const s = JSON.stringify(db[k]);
+    if (snap.kv.get(k) !== s) put.run(k, s);
+  }
+  const delKv = prepare('DELETE FROM kv WHERE key = ?');
+  for (const k of snap.kv.keys()) if (!(k in db)) delKv.run(k);
+}
+
+const emptySnapshot = ()=> ({ kv: new Map(), tables: new Map(Object.entries(tables).map(([name, t])=>[name, snapshotTable(t, [])])) });
+
+// SQLite adapter: one table per collection plus a kv table. The mutator runs
+// against a lazily loaded copy with no SQLite transaction open (store.js
+// already runs transactions one at a time), then the rows it changed are
+// written in one synchronous BEGIN IMMEDIATE … COMMIT, so nothing else on
+// this connection can see half of it and a throwing mutator writes nothing.
+export default {
+  name: 'sqlite',
+  open,
+  async load(){
+    await open();
+    return loadAll();
+  },
+  async transaction(mutator){
+    await open();
+    const { db, snap } = lazyDB();
+    const result = await mutator(db);
+    conn.transaction(()=> writeDiff(db, snap)).immediate();
+    return result;
+  },
+  async replace(db){
+    await open();
+    const run = conn.transaction(()=>{
+      for (const name of Object.keys(tables)) prepare(`DELETE FROM "${name}"`).run();
+      prepare('DELETE FROM kv').run();
+      writeDiff(db, emptySnapshot());
+    });
+    run();
+  },
+  async select(table, where = {}){
+    await open();
+    const t = tables[table];
+    const keys = Object.keys(where);
+    if (!t){
+      const kv = structuredClone(defaultDB);
+      readKv(kv);
+      return (kv[table] || []).filter(r=>keys.every(k=>r[k]===where[k]));
+    }
+    if (keys.some(k=>!t.columns[k])) return readTable(table, t).filter(r=>keys.every(k=>r[k]===where[k]));
+    const clause = keys.length ? ' WHERE '+keys.map(k=> where[k]===null ? `"${k}" IS NULL` : `"${k}" = @${k}`).join(' AND ') : '';
+    const params = Object.fromEntries(keys.filter(k=>where[k]!==null).map(k=>[k, t.columns[k]==='bool' ? (where[k]?1:0) : where[k]]));
+    return prepare(`SELECT * FROM "${table}"${clause} ORDER BY rowid`).all(params).map(r=>decode(t, r));
+  },
+  close(){
+    if (conn) { conn.close(); conn = null; stmts.clear(); }
+  }
+};
@@ -0,0 +1,22 @@
+// Keeps a single setTimeout armed for the earliest due record of one kind
+// (auction end, gift expiry, scheduled drop...). `nextAt(db)` returns that
+// timestamp (Infinity when nothing is pending) and `settle(db, now)` handles
+// everything that is due inside one transaction. Call schedule(db) after any
+// change to the records and run() once on startup so work that fell due while
+// the server was down is picked up.
+export function createDueTimer({ label, transact, nextAt, settle }){
+  let timer = null;
+  function schedule(db){
+    clearTimeout(timer);
+    const next = nextAt(db);
+    if (!isFinite(next)) return;
+    timer = setTimeout(run, Math.min(Math.max(0, next - Date.now()), 2**31-1));
+  }
+  async function run(){
+    try {
+      const db = await transact(async db=>{ settle(db, Date.now()); return db; });
+      schedule(db);
+    } catch(e){ console.error(`[${label}] failed:`, e); }
+  }
+  return { schedule, run };
+}
@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+
+// Upgrade rules for /api/nft/upgrade, configured per collection in
+// db.upgradeRules = { [collection]: rule }. A rule looks like:
+//   {
+//     maxLevel: 10,                 // null = no cap
+//     baseCost: 1, costPerLevel: 0.5, // TON charged per attempt: baseCost + costPerLevel * level
+//     successRates: [1, 0.9, 0.7],  // chance to go from level i to i+1; the last entry repeats
+//     onFailure: 'keep',            // 'keep' the level or 'downgrade' one level
+//     traitChance: 0.25,            // chance that a successful upgrade rolls new traits
+//     traits: { background: [{ value:'Gold', weight:1 }, ...], rarity: [...] }
+//   }
+// Collections without a rule use DEFAULT_RULE, which matches the original
+// behaviour: free, always succeeds, no level cap.
+
+export const DEFAULT_RULE = { maxLevel: null, baseCost: 0, costPerLevel: 0, successRates: [1], onFailure: 'keep', traitChance: 0, traits: {} };
+
+const isNum = (v)=> typeof v === 'number' && Number.isFinite(v);
+
+// Validates an admin-supplied rule. Returns { rule } or { error }.
+export function normalizeRule(raw){
+  if (!raw || typeof raw !== 'object') return { error:'rule object required' };
+  const rule = { ...DEFAULT_RULE, ...raw };
+  if (rule.maxLevel !== null && !(Number.isInteger(rule.maxLevel) && rule.maxLevel >= 0)) return { error:'maxLevel must be a non-negative integer or null' };
+  if (!(isNum(rule.baseCost) && rule.baseCost >= 0) || !(isNum(rule.costPerLevel) && rule.costPerLevel >= 0)) return { error:'baseCost and costPerLevel must be numbers >= 0' };
+  if (!Array.isArray(rule.successRates) || !rule.successRates.length || !rule.successRates.every(p=>isNum(p) && p>=0 && p<=1)) return { error:'successRates must be a non-empty array of probabilities 0..1' };
+  if (!['keep', 'downgrade'].includes(rule.onFailure)) return { error:'onFailure must be keep or downgrade' };
+  if (!(isNum(rule.traitChance) && rule.traitChance >= 0 && rule.traitChance <= 1)) return { error:'traitChance must be a probability 0..1' };
+  if (!rule.traits || typeof rule.traits !== 'object' || Array.isArray(rule.traits)) return { error:'traits must be an object of trait pools' };
+  for (const [name, pool] of Object.entries(rule.traits)){
+    if (!Array.isArray(pool) || !pool.length || !pool.every(o=>o && o.value !== undefined && (o.weight === undefined || (isNum(o.weight) && o.weight > 0)))){
+      return { error:`traits.${name} must be a non-empty array of { value, weight? }` };
+    }
+  }
+  return { rule: { maxLevel: rule.maxLevel, baseCost: rule.baseCost, costPerLevel: rule.costPerLevel, successRates: rule.successRates, onFailure: rule.onFailure, traitChance: rule.traitChance, traits: rule.traits } };
+}
+
+export const ruleFor = (db, collection)=> (db.upgradeRules || {})[collection] || DEFAULT_RULE;
+export const upgradeCost = (rule, level)=> +(rule.baseCost + rule.costPerLevel * level).toFixed(9);
+export const successChance = (rule, level)=> rule.successRates[Math.min(level, rule.successRates.length - 1)];
+export const atMaxLevel = (rule, level)=> rule.maxLevel !== null && level >= rule.maxLevel;
+
+// Deterministic random numbers in [0, 1) derived from a seed string, so any
+// recorded upgrade can be re-rolled exactly.
+export function createRng(seed){
+  let n = 0;
+  return ()=>{
+    const h = crypto.createHash('sha256').update(`${seed}:${n++}`).digest();
+    return h.readUIntBE(0, 6) / 2**48;
+  };
+}
+
+function pick(pool, r){
+  const total = pool.reduce((s, o)=> s + (o.weight ?? 1), 0);
+  let x = r * total;
+  for (const o of pool){
+    x -= (o.weight ?? 1);
+    if (x < 0) return o.value;
+  }
+  return pool[pool.length - 1].value;
+}
+
+// Pure outcome of one upgrade attempt. The first roll decides success, the second
+// whether traits change, and one more roll is used per trait pool.
+export function rollUpgrade(rule, item, seed){
+  const rng = createRng(seed);
+  const fromLevel = item.level || 0;
+  const chance = successChance(rule, fromLevel);
+  const roll = rng();
+  const success = roll < chance;
+  let toLevel = fromLevel, traits = null;
+  if (success){
+    toLevel = fromLevel + 1;
+    const traitRoll = rng();
+    if (traitRoll < rule.traitChance && Object.keys(rule.traits).length){
+      traits = {};
+      for (const [name, pool] of Object.entries(rule.traits)) traits[name] = pick(pool, rng());
+    }
+  } else if (rule.onFailure === 'downgrade'){
+    toLevel = Math.max(0, fromLevel - 1);
+  }
+  return { seed, roll, chance, success, fromLevel, toLevel, traits };
+}
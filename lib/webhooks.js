@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import { nanoid } from 'nanoid';
+
+// Outbound webhooks.
+// Model: db.webhooks = [{ id, url, events: [type], secret, description, active, createdAt, createdBy }]
+//   db.webhookDeliveries = [{ id, webhookId, eventId, type, payload, status:'pending'|'delivered'|'failed',
+//     attempts, nextAttemptAt, lastAttemptAt?, lastStatus?, lastError?, deliveredAt?, redeliveryOf?, createdAt,
+//     log: [{ at, status, error, ms }] }]
+// enqueue() runs inside the transaction that made the change, so an event is only
+// sent if that change was saved. The dispatcher then POSTs pending deliveries outside
+// any transaction and retries failures with exponential backoff. Delivery is at least
+// once: receivers should skip event ids they have already handled.
+// Every request body is { id, type, version, createdAt, data } and is signed:
+//   X-GiftNFT-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" keyed with the secret>
+
+export const WEBHOOK_EVENTS = ['item.sold', 'gift.sent', 'item.upgraded', 'payment.requested', 'payment.approved', 'payment.rejected', 'user.banned'];
+export const TEST_EVENT = 'webhook.test';
+export const PAYLOAD_VERSION = 1;
+export const SIGNATURE_HEADER = 'X-GiftNFT-Signature';
+const MAX_BACKOFF_MS = 6 * 3600000;
+
+export const newSecret = ()=> 'whsec_' + crypto.randomBytes(24).toString('hex');
+export const sign = (secret, t, raw)=> crypto.createHmac('sha256', secret).update(`${t}.${raw}`).digest('hex');
+
+// For receivers: checks the signature header against the raw body and rejects
+// requests signed more than toleranceSec ago (replays)
+export function verifySignature(secret, header, raw, { toleranceSec = 300, now = Date.now() } = {}){
+  const parts = Object.fromEntries(String(header||'').split(',').map(p=>p.trim().split('=')));
+  const t = Number(parts.t);
+  if (!secret || !raw || !parts.v1 || !Number.isFinite(t)) return false;
+  if (Math.abs(now/1000 - t) > toleranceSec) return false;
+  const want = Buffer.from(sign(secret, t, raw));
+  const got = Buffer.from(parts.v1);
+  return want.length === got.length && crypto.timingSafeEqual(want, got);
+}
+
+export const backoff = (attempts, baseMs)=> Math.min(baseMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+export function createWebhooks({ transact, retryBaseMs = 10000, maxAttempts = 8, timeoutMs = 10000, keep = 1000, userAgent = 'GiftNFT-Webhooks' }){
+  let timer = null, running = false, again = false;
+
+  const newDelivery = (webhookId, event, extra = {})=> ({
+    id: nanoid(14), webhookId, eventId: event.id, type: event.type, payload: event, status:'pending',
+    attempts: 0, nextAttemptAt: Date.now(), createdAt: Date.now(), log: [], ...extra
+  });
+
+  // Finished deliveries beyond `keep` are dropped, oldest first
+  function prune(db){
+    const done = db.webhookDeliveries.filter(d=>d.status!=='pending');
+    if (done.length <= keep) return;
+    const drop = new Set(done.sort((a,b)=>a.createdAt-b.createdAt).slice(0, done.length - keep).map(d=>d.id));
+    db.webhookDeliveries = db.webhookDeliveries.filter(d=>!drop.has(d.id));
+  }
+
+  // Queues `type` for every active webhook subscribed to it (or only `webhookId`).
+  // Call inside a transaction, then kick() once it has been saved.
+  function enqueue(db, type, data, { webhookId = null } = {}){
+    const targets = db.webhooks.filter(w=> webhookId ? w.id===webhookId : w.active && w.events.includes(type));
+    if (!targets.length) return null;
+    const event = { id: 'evt_'+nanoid(16), type, version: PAYLOAD_VERSION, createdAt: new Date().toISOString(), data };
+    for (const w of targets) db.webhookDeliveries.push(newDelivery(w.id, event));
+    prune(db);
+    return event;
+  }
+
+  // A new delivery of the same event (same event id) to the same webhook
+  function redeliver(db, d){
+    const copy = newDelivery(d.webhookId, d.payload, { redeliveryOf: d.id });
+    db.webhookDeliveries.push(copy);
+    prune(db);
+    return copy;
+  }
+
+  async function send(d, w){
+    const raw = JSON.stringify(d.payload);
+    const t = Math.floor(Date.now()/1000);
+    const started = Date.now();
+    try {
+      const r = await fetch(w.url, {
+        method:'POST', redirect:'manual', signal: AbortSignal.timeout(timeoutMs),
+        headers: {
+          'content-type':'application/json', 'user-agent': userAgent,
+          [SIGNATURE_HEADER]: `t=${t},v1=${sign(w.secret, t, raw)}`,
+          'X-GiftNFT-Event': d.type, 'X-GiftNFT-Delivery': d.id, 'X-GiftNFT-Version': String(PAYLOAD_VERSION)
+        },
+        body: raw
+      });
+      const text = (await r.text().catch(()=>'')).slice(0, 500);
+      return { ok: r.status >= 200 && r.status < 300, status: r.status, error: r.ok ? null : text || `HTTP ${r.status}`, ms: Date.now() - started };
+    } catch (e) {
+      return { ok: false, status: null, error: e.name === 'TimeoutError' ? `Timed out after ${timeoutMs} ms` : e.cause?.code || e.message, ms: Date.now() - started };
+    }
+  }
+
+  async function run(){
+    if (running) { again = true; return; }
+    running = true;
+    try {
+      // Claim what is due; the lease makes a delivery cut off by a crash due again later
+      const claimed = await transact(async db=>{
+        const now = Date.now();
+        const out = [];
+        for (const d of db.webhookDeliveries.filter(x=>x.status==='pending' && x.nextAttemptAt<=now).slice(0, 20)){
+          const w = db.webhooks.find(x=>x.id===d.webhookId);
+          if (!w || (!w.active && d.type!==TEST_EVENT)){
+            d.status = 'failed'; d.lastError = w ? 'Webhook is disabled' : 'Webhook was deleted'; d.nextAttemptAt = null;
+            continue;
+          }
+          d.attempts++; d.lastAttemptAt = now; d.nextAttemptAt = now + timeoutMs + 5000;
+          out.push({ d: structuredClone(d), w: { url: w.url, secret: w.secret } });
+        }
+        return out;
+      });
+      const results = await Promise.all(claimed.map(({ d, w })=>send(d, w).then(r=>({ id: d.id, ...r }))));
+      const next = await transact(async db=>{
+        const now = Date.now();
+        for (const r of results){
+          const d = db.webhookDeliveries.find(x=>x.id===r.id);
+          if (!d) continue;
+          d.log = [...d.log, { at: now, status: r.status, error: r.error, ms: r.ms }].slice(-maxAttempts);
+          d.lastStatus = r.status; d.lastError = r.error;
+          if (r.ok) { d.status = 'delivered'; d.deliveredAt = now; d.nextAttemptAt = null; }
+          else if (d.attempts >= maxAttempts) { d.status = 'failed'; d.nextAttemptAt = null; }
+          else d.nextAttemptAt = now + backoff(d.attempts, retryBaseMs);
+        }
+        return Math.min(...db.webhookDeliveries.filter(x=>x.status==='pending').map(x=>x.nextAttemptAt));
+      });
+      schedule(next);
+    } catch (e) {
+      console.error('[webhooks] dispatch failed:', e);
+      schedule(Date.now() + retryBaseMs);
+    } finally {
+      running = false;
+      if (again) { again = false; kick(); }
+    }
+  }
+
+  function schedule(at){
+    clearTimeout(timer);
+    if (!isFinite(at)) return;
+    timer = setTimeout(run, Math.min(Math.max(0, at - Date.now()), 2**31-1));
+    timer.unref();
+  }
+  // Sends whatever is due now, e.g. right after enqueue() was saved
+  const kick = ()=> schedule(Date.now());
+
+  return { enqueue, redeliver, run, kick };
+}
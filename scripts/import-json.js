@@ -0,0 +1,28 @@
+// One-time import of an existing JSON database into the sqlite driver.
+//   npm run db:import-json -- [path/to/db.json] [--force]
+// Refuses to overwrite a sqlite database that already has users unless
+// --force is given.
+import 'dotenv/config';
+import fs from 'fs-extra';
+import sqliteStore from '../lib/store/sqlite.js';
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const file = args.find(a=>!a.startsWith('--')) || process.env.DB_PATH || './data/db.json';
+
+const db = JSON.parse(await fs.readFile(file, 'utf-8'));
+if (!Array.isArray(db.users) || !Array.isArray(db.items) || !Array.isArray(db.history)){
+  console.error(`${file} does not look like a GiftNFT database (users, items, history required)`);
+  process.exit(1);
+}
+
+const existing = await sqliteStore.select('users');
+if (existing.length && !force){
+  console.error(`sqlite database already has ${existing.length} users; re-run with --force to replace it`);
+  process.exit(1);
+}
+
+await sqliteStore.replace(db);
+const counts = Object.entries(db).filter(([,v])=>Array.isArray(v)).map(([k,v])=>`${k}: ${v.length}`);
+console.log(`Imported ${file} into sqlite (${counts.join(', ')})`);
+sqliteStore.close();
@@ -0,0 +1,35 @@
+// Local webhook receiver for trying out /api/admin/webhooks.
+//   npm run webhooks:receive -- --secret whsec_... [--port 9090] [--fail 2]
+// Register http://127.0.0.1:9090/ as a webhook, then every event is printed
+// with whether its signature checks out. --fail N answers 500 to the first N
+// requests so the server's retries can be watched.
+import http from 'http';
+import { verifySignature, SIGNATURE_HEADER } from '../lib/webhooks.js';
+
+const args = process.argv.slice(2);
+const opt = (name, fallback)=> { const i = args.indexOf('--'+name); return i >= 0 ? args[i+1] : fallback; };
+const port = Number(opt('port', process.env.WEBHOOK_RECEIVER_PORT || 9090));
+const secret = opt('secret', process.env.WEBHOOK_SECRET);
+let failures = Number(opt('fail', 0));
+const seen = new Set();
+
+if (!secret) console.warn('No --secret given: signatures are not checked');
+
+http.createServer((req, res)=>{
+  const chunks = [];
+  req.on('data', c=>chunks.push(c));
+  req.on('end', ()=>{
+    const raw = Buffer.concat(chunks).toString('utf-8');
+    const valid = secret ? verifySignature(secret, req.headers[SIGNATURE_HEADER.toLowerCase()], raw) : null;
+    let event = null;
+    try { event = JSON.parse(raw); } catch {}
+    const repeat = event && seen.has(event.id);
+    console.log(`${new Date().toISOString()} ${req.headers['x-giftnft-event'] || '?'} delivery=${req.headers['x-giftnft-delivery'] || '?'}`
+      + ` signature=${valid === null ? 'unchecked' : valid ? 'valid' : 'INVALID'}${repeat ? ' (repeat of '+event.id+')' : ''}`);
+    console.log(JSON.stringify(event, null, 2));
+    if (valid === false) { res.writeHead(401).end('invalid signature'); return; }
+    if (failures > 0) { failures--; res.writeHead(500).end('failing on purpose'); return; }
+    if (event) seen.add(event.id);
+    res.writeHead(204).end();
+  });
+}).listen(port, ()=> console.log(`Webhook receiver listening on http://127.0.0.1:${port}/`));
@@ -6,513 +6,2610 @@ import { Server as IOServer } from 'socket.io';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { nanoid } from 'nanoid';
-import { loadDB, saveDB, transact } from './store.js';
+import { loadDB, replaceDB, transact, select, afterCommit } from './store.js';
+import { post as postEntry, round, userAccount, reconcile } from './lib/ledger.js';
+import { parseQuery, queryItems, effectivePrice, MARKET_QUERY } from './lib/market.js';
+import { createDueTimer } from './lib/timer.js';
+import { findCollection, createCollection, ensureCollection, remainingSupply, mintItem, collectionStats } from './lib/collections.js';
+import { normalizeRule, ruleFor, upgradeCost, successChance, atMaxLevel, rollUpgrade } from './lib/upgrade.js';
+import { createProvider } from './lib/payments/index.js';
+import { createSession, rotateSession, revokeSession, revokeUserSessions, pruneSessions, activeSessions, createPasswordReset, usePasswordReset } from './lib/sessions.js';
+import { createLockout } from './lib/lockout.js';
+import { createIdempotency, openIdempotency } from './lib/idempotency.js';
+import { PERMISSIONS, ROLES, ASSIGNABLE_ROLES, isStaff, permissionsOf, hasPermission } from './lib/roles.js';
+import { createMailer } from './lib/mail/index.js';
+import { createAuditLog, diff, filterAudit, auditCsv } from './lib/audit.js';
+import { createRateSource, parseRates, currentRate, normalizeRates, setRate, openRates, fiatPrices, requestedFiat } from './lib/rates/index.js';
+import { str, num, int, bool, arr, obj, map, any, required } from './lib/schema.js';
+import { createApi, validationError } from './lib/openapi.js';
+import { toCsv } from './lib/csv.js';
+import { SALE_KINDS, INTERVALS, REPORTS, buildReport, reportRows } from './lib/analytics.js';
+import { migrate, SCHEMA_VERSION } from './lib/migrations.js';
+import { createSnapshots } from './lib/snapshots.js';
+import { prepareImport, diffDatabases } from './lib/dbimport.js';
+import { createWebhooks, newSecret, WEBHOOK_EVENTS, TEST_EVENT } from './lib/webhooks.js';
 import fs from 'fs-extra';
 import path from 'path';
 import url from 'url';
 
 const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
 const app = express();
-const TON_USD = 3.5; // 1 TON = 3.5 USD (as requested)
 const server = createServer(app);
 const io = new IOServer(server, { cors: { origin: process.env.ORIGIN || '*' } });
+// Socket events about a change go out once its transaction has been saved
+const broadcast = (rooms, event, payload)=> afterCommit(()=> io.to(rooms).emit(event, payload));
+// Every ledger entry can move the admin totals
+const post = (db, entry)=>{ const e = postEntry(db, entry); summaryChanged(); return e; };
 
-app.use(cors({ origin: process.env.ORIGIN || '*', credentials: true }));
-app.use(express.json({ limit: '2mb' }));
+app.use(cors({ origin: process.env.ORIGIN || '*', credentials: true, exposedHeaders: ['Idempotent-Replayed'] }));
+// Behind a reverse proxy, set TRUST_PROXY so req.ip (audit log) is the client's address
+if (process.env.TRUST_PROXY) app.set('trust proxy', process.env.TRUST_PROXY);
+// keep the raw body around so payment callbacks can check their signature
+app.use(express.json({ limit: '2mb', verify: (req,res,buf)=>{ req.rawBody = buf; } }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 const PORT = process.env.PORT || 8080;
 const JWT_SECRET = process.env.JWT_SECRET || 'devsecret';
+const TREASURY_ID = process.env.TREASURY_USER_ID || 'u_treasury';
+const ROYALTY_DEFAULT_PCT = Number(process.env.ROYALTY_DEFAULT_PCT ?? 5);
+const PAYMENT_POLL_MS = Number(process.env.PAYMENT_POLL_MS ?? 15000);
+// USD is always available: payments keep their `usd` value
+const FIAT_CURRENCIES = [...new Set(['USD', ...(process.env.FIAT_CURRENCIES || 'USD,EUR').split(',').map(c=>c.trim().toUpperCase()).filter(Boolean)])];
+const TON_RATES = parseRates(process.env.TON_RATES || 'USD:3.5,EUR:3.2');
+const RATE_REFRESH_MS = Number(process.env.RATE_REFRESH_MS ?? 900000);
+const rateSource = createRateSource(process.env.RATE_SOURCE || 'manual');
+const payments = createProvider(process.env.PAYMENT_PROVIDER || 'manual', {
+  secret: process.env.PAYMENT_WEBHOOK_SECRET,
+  address: process.env.TON_DEPOSIT_ADDRESS,
+  callbackUrl: `http://127.0.0.1:${PORT}/api/payments/callback/mock`
+});
+
+const ACCESS_TOKEN_TTL_SEC = Number(process.env.ACCESS_TOKEN_TTL_SEC ?? 900);
+const REFRESH_TTL_MS = Number(process.env.REFRESH_TOKEN_TTL_DAYS ?? 30) * 86400000;
+const RESET_TTL_MS = Number(process.env.PASSWORD_RESET_TTL_MIN ?? 60) * 60000;
+const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`;
+const mailer = createMailer(process.env.MAIL_TRANSPORT || 'file', { dir: process.env.MAIL_DIR, from: process.env.MAIL_FROM || 'GiftNFT <no-reply@giftnft.local>' });
+// Failed logins lock the IP and the account independently for LOGIN_LOCK_MIN
+const LOGIN_WINDOW_MS = 15 * 60000;
+const LOGIN_LOCK_MS = Number(process.env.LOGIN_LOCK_MIN ?? 15) * 60000;
+const loginByIp = createLockout({ maxAttempts: Number(process.env.LOGIN_MAX_PER_IP ?? 20), windowMs: LOGIN_WINDOW_MS, lockMs: LOGIN_LOCK_MS });
+const loginByAccount = createLockout({ maxAttempts: Number(process.env.LOGIN_MAX_PER_ACCOUNT ?? 5), windowMs: LOGIN_WINDOW_MS, lockMs: LOGIN_LOCK_MS });
 
-function sign(user){
-  return jwt.sign({ id: user.id, role: user.role }, JWT_SECRET, { expiresIn: '7d' });
+// Access tokens are short-lived and name their session (lib/sessions.js)
+function sign(user, session){
+  return jwt.sign({ id: user.id, role: user.role, sid: session.id }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SEC });
+}
+function issueTokens(db, user, req){
+  pruneSessions(db, ACCESS_TOKEN_TTL_SEC*1000);
+  const { session, refreshToken } = createSession(db, user, { ip: req.ip, userAgent: req.get('user-agent') || null, ttlMs: REFRESH_TTL_MS });
+  return { token: sign(user, session), refreshToken, expiresIn: ACCESS_TOKEN_TTL_SEC };
+}
+
+// Revocation list: sessions revoked while access tokens issued for them can
+// still be valid, i.e. for ACCESS_TOKEN_TTL_SEC after the revocation.
+const revokedSessions = new Map(); // sid -> when its last access token expires
+function rememberRevoked(sessions){
+  for (const s of sessions) if (s.revokedAt) revokedSessions.set(s.id, s.revokedAt + ACCESS_TOKEN_TTL_SEC*1000);
+}
+function isRevoked(sid){
+  const until = revokedSessions.get(sid);
+  if (until === undefined) return false;
+  if (until > Date.now()) return true;
+  revokedSessions.delete(sid);
+  return false;
+}
+// Call with the sessions lib/sessions.js revoked: once that is saved, blocks
+// their access tokens and disconnects their sockets.
+function endSessions(sessions, reason){
+  sessions = sessions.filter(Boolean);
+  if (!sessions.length) return;
+  afterCommit(()=>{
+    rememberRevoked(sessions);
+    const ids = new Set(sessions.map(s=>s.id));
+    dropSockets(user=>ids.has(user.sid), reason);
+  });
+}
+// Signed-in sockets whose session ended get `session:revoked` and are disconnected
+function dropSockets(match, reason){
+  for (const socket of io.sockets.sockets.values()){
+    if (!socket.data.user || !match(socket.data.user)) continue;
+    socket.emit('session:revoked', { reason });
+    socket.disconnect(true);
+  }
+}
+
+function verifyAccess(t){
+  const payload = jwt.verify(t, JWT_SECRET);
+  // Tokens from before sessions existed carry no sid and are no longer accepted
+  if (!payload.sid || isRevoked(payload.sid)) throw Object.assign(new Error('Session revoked'), { name:'SessionRevoked' });
+  return payload;
 }
 function auth(req,res,next){
   const h = req.headers.authorization || '';
   const t = h.startsWith('Bearer ') ? h.slice(7) : null;
   if (!t) return res.status(401).json({ error: 'No token' });
   try{
-    const payload = jwt.verify(t, JWT_SECRET);
-    req.user = payload; next();
-  } catch(e){ return res.status(401).json({ error: 'Invalid token' }); }
+    req.user = verifyAccess(t); next();
+  } catch(e){
+    const error = e.name==='TokenExpiredError' ? 'Token expired' : e.name==='SessionRevoked' ? 'Session revoked' : 'Invalid token';
+    return res.status(401).json({ error });
+  }
 }
-function adminOnly(req,res,next){
-  if (req.user?.role !== 'admin') return res.status(403).json({ error: 'Admin only' });
-  next();
+// Staff routes name the permission they need (lib/roles.js)
+function requirePerm(perm){
+  const check = (req,res,next)=>{
+    if (!hasPermission(req.user?.role, perm)) return res.status(403).json({ error: `Missing permission ${perm}` });
+    next();
+  };
+  return Object.assign(check, { permission: perm });
 }
 
+// Routes are declared on `api` with schemas for their body and query (lib/schema.js).
+// Requests are checked after auth, trimmed to the declared fields, and the same
+// schemas make up the OpenAPI document at /api/docs. Money-moving routes are marked
+// idempotent: true and honour an Idempotency-Key header (lib/idempotency.js).
+const IDEMPOTENCY_TTL_MS = Number(process.env.IDEMPOTENCY_TTL_HOURS ?? 24) * 3600000;
+const api = createApi(app, { authMiddleware: auth, idempotency: createIdempotency({ transact, ttlMs: IDEMPOTENCY_TTL_MS }) });
+// Route mutators return reply(body) or fail(status, error) and the route
+// send()s that once the transaction has been saved
+const reply = (body, status = 200)=> ({ status, body });
+const fail = (status, error, extra)=> reply({ error, ...extra }, status);
+const send = (res, r)=> res.status(r.status).json(r.body);
+const ID = required(str({ minLength: 1 }));
+const TON = num({ exclusiveMinimum: 0 });
+const LIMIT = int({ minimum: 1 });
+const TIME = num({ minimum: 0, description: 'ms timestamp' });
+
+// Copies of the database taken before destructive admin actions (lib/snapshots.js)
+const snapshots = createSnapshots(process.env.SNAPSHOT_DIR || './data/snapshots', { keep: Number(process.env.SNAPSHOT_KEEP) || 20 });
+// Inside a mutator: captures the database as it is now and writes it once the transaction commits
+const snapshotOnCommit = (db, opts)=>{ const s = snapshots.capture(db, opts); afterCommit(s.save); return s.meta; };
+
+// Royalties from secondary sales are credited to this account
+async function ensureTreasury(db){
+  if (db.users.some(u=>u.id===TREASURY_ID)) return;
+  db.users.push({ id: TREASURY_ID, name: 'Treasury', email: 'treasury@system.local', pass: await bcrypt.hash(nanoid(24),10), role:'treasury', balance: 0, owned: [], gifts: 0, banned: false });
+}
 async function seed(){
-  const db = await loadDB();
-  if (db.users.length === 0){
-    const pass = await bcrypt.hash(process.env.ADMIN_PASSWORD || 'admin123', 10);
-    db.users.push({ id: 'u_admin', name: process.env.ADMIN_NAME || 'Admin', email: process.env.ADMIN_EMAIL || 'admin@example.com', pass: pass, role:'admin', balance: 0, owned: [], gifts: 0 });
-    db.users.push({ id: 'u_1001', name: 'Alice', email: 'alice@example.com', pass: await bcrypt.hash('alice123',10), role:'user', balance: 0, owned: [], gifts: 0 });
-    db.users.push({ id: 'u_1002', name: 'Bob', email: 'bob@example.com', pass: await bcrypt.hash('bob123',10), role:'user', balance: 0, owned: [], gifts: 0 });
-  }
-  if (db.items.length === 0){
-    // Start with an EMPTY market as requested
-  }
-  await saveDB(db);
+  await transact(async db=>{
+    if ((db.schemaVersion||0) < SCHEMA_VERSION && db.users.length) snapshotOnCommit(db, { reason:'migrate', actorId:'system' });
+    const { from, to, applied } = migrate(db);
+    if (applied.length) console.log(`[migrations] schema ${from} -> ${to}: ${applied.join(', ')}`);
+    if (db.users.length === 0){
+      const pass = await bcrypt.hash(process.env.ADMIN_PASSWORD || 'admin123', 10);
+      db.users.push({ id: 'u_admin', name: process.env.ADMIN_NAME || 'Admin', email: process.env.ADMIN_EMAIL || 'admin@example.com', pass: pass, role:'admin', balance: 0, owned: [], gifts: 0, banned: false });
+      db.users.push({ id: 'u_1001', name: 'Alice', email: 'alice@example.com', pass: await bcrypt.hash('alice123',10), role:'user', balance: 0, owned: [], gifts: 0, banned: false });
+      db.users.push({ id: 'u_1002', name: 'Bob', email: 'bob@example.com', pass: await bcrypt.hash('bob123',10), role:'user', balance: 0, owned: [], gifts: 0, banned: false });
+    }
+    if (db.items.length === 0){
+      // Start with an EMPTY market as requested
+    }
+    await ensureTreasury(db);
+    openRates(db, TON_RATES);
+    pruneSessions(db, ACCESS_TOKEN_TTL_SEC*1000);
+    rememberRevoked(db.sessions);
+    openIdempotency(db);
+  });
 }
 await seed();
 
-// ----------------- AUTH -----------------
-app.post('/api/auth/register', async (req,res)=>{
-  const { name, email, password } = req.body || {};
-  if (!name || !email || !password) return res.status(400).json({ error: 'Missing fields' });
-  const db = await loadDB();
-  if (db.users.find(u=>u.email.toLowerCase()===String(email).toLowerCase())) return res.status(409).json({ error: 'Email exists' });
-  const user = {
-    id: nanoid(10),
-    name, email,
-    pass: await bcrypt.hash(password, 10),
-    role: 'user',
-    balance: 0,
-    owned: [],
-    gifts: 0
+// ----------------- AUDIT -----------------
+// Every successful non-GET /api/admin request is written to the audit log (lib/audit.js).
+// Routes describe what they changed with req.audit({ target, before, after, summary });
+// routes that don't still get an entry naming the actor and endpoint.
+const auditLog = createAuditLog(process.env.AUDIT_PATH || './data/audit.jsonl');
+const snap = (x)=> x === undefined || x === null ? null : structuredClone(x);
+
+function auditTrail(req,res,next){
+  if (req.method === 'GET') return next();
+  const records = [];
+  const endpoint = req.originalUrl.split('?')[0];
+  const action = endpoint.replace(/^\/api\/admin\//, '').replace(/\//g, '.');
+  req.audit = ({ target=null, before=null, after=null, summary, action: named=action })=>{
+    records.push({ action: named, target, changes: diff(before, after), ...(summary ? { summary } : {}) });
   };
-  db.users.push(user);
-  await saveDB(db);
-  const token = sign(user);
-  const safeUser = { id:user.id, name:user.name, email:user.email, role:user.role, balance:user.balance };
-  res.json({ token, user: safeUser });
+  res.on('finish', ()=>{
+    if (res.statusCode >= 400) return;
+    const base = { ts: Date.now(), actorId: req.user?.id ?? null, actorRole: req.user?.role ?? null, method: req.method, endpoint, ip: req.ip };
+    auditLog.append((records.length ? records : [{ action, target: null, changes: {} }]).map(r=>({ ...base, ...r })))
+      .catch(e=>console.error('[audit] append failed:', e));
+  });
+  next();
+}
+app.use('/api/admin', auditTrail);
+
+// Query: actorId, action (e.g. items.update), targetType, targetId, ip, from, to,
+// limit (max 500), cursor (nextCursor from the previous page). Newest first.
+const AUDIT_FILTERS = { actorId: str(), action: str(), targetType: str(), targetId: str(), ip: str(), from: TIME, to: TIME };
+api.get('/api/admin/audit', { summary:'Search the audit log', tags:['audit'],
+  query: obj({ ...AUDIT_FILTERS, limit: LIMIT, cursor: int({ minimum: 0 }) })
+}, auth, requirePerm('audit.read'), async (req,res)=>{
+  const limit = Math.min(500, req.query.limit || 50);
+  const cursor = req.query.cursor ?? Infinity;
+  const list = filterAudit(await auditLog.read(), req.query).filter(e=>e.seq < cursor).reverse();
+  const page = list.slice(0, limit);
+  res.json({ entries: page, total: list.length, nextCursor: list.length > limit ? String(page[page.length-1].seq) : null });
+});
+// Same filters; format=csv|jsonl, oldest first
+api.get('/api/admin/audit/export', { summary:'Export the audit log', tags:['audit'],
+  query: obj({ ...AUDIT_FILTERS, format: str({ enum: ['csv', 'jsonl'], default: 'jsonl' }) })
+}, auth, requirePerm('audit.read'), async (req,res)=>{
+  const { format } = req.query;
+  const list = filterAudit(await auditLog.read(), req.query);
+  res.attachment(`audit-${Date.now()}.${format}`);
+  if (format === 'csv') res.type('text/csv').send(auditCsv(list));
+  else res.type('application/x-ndjson').send(list.map(e=>JSON.stringify(e)).join('\n') + (list.length ? '\n' : ''));
+});
+// Re-checks the hash chain: any edited, removed or reordered entry breaks it
+api.get('/api/admin/audit/verify', { summary:'Verify the audit hash chain', tags:['audit'] }, auth, requirePerm('audit.read'), async (req,res)=>{
+  res.json(await auditLog.verify());
+});
+
+// ----------------- AUTH -----------------
+const MIN_PASSWORD = 6;
+const PASSWORD = required(str({ minLength: MIN_PASSWORD }));
+
+api.post('/api/auth/register', { summary:'Create an account', tags:['auth'],
+  body: obj({ name: required(str({ trim: true, minLength: 1, maxLength: 100 })), email: required(str({ trim: true, format: 'email' })), password: PASSWORD })
+}, async (req,res)=>{
+  const { name, email, password } = req.body;
+  const pass = await bcrypt.hash(password, 10);
+  send(res, await transact(async db=>{
+    if (db.users.find(u=>u.email.toLowerCase()===String(email).toLowerCase())) return fail(409, 'Email exists');
+    const user = {
+      id: nanoid(10),
+      name, email,
+      pass,
+      role: 'user',
+      balance: 0,
+      owned: [],
+      gifts: 0,
+      banned: false
+    };
+    db.users.push(user);
+    linkPendingGifts(db, user);
+    const safeUser = { id:user.id, name:user.name, email:user.email, role:user.role, balance:user.balance };
+    return reply({ ...issueTokens(db, user, req), user: safeUser });
+  }));
 });
 
-app.post('/api/auth/login', async (req,res)=>{
-  const { email, password } = req.body || {};
+function tooManyAttempts(res, ms){
+  const retryAfterSec = Math.ceil(ms/1000);
+  res.set('Retry-After', String(retryAfterSec));
+  return res.status(429).json({ error:'Too many failed logins; try again later', retryAfterSec });
+}
+
+api.post('/api/auth/login', { summary:'Log in', tags:['auth'],
+  body: obj({ email: required(str({ trim: true, minLength: 1 })), password: required(str()) })
+}, async (req,res)=>{
+  const { email, password } = req.body;
+  const account = email.toLowerCase();
+  const wait = Math.max(loginByIp.retryAfter(req.ip), loginByAccount.retryAfter(account));
+  if (wait) return tooManyAttempts(res, wait);
+  const users = await select('users');
+  const user = users.find(u=>u.email.toLowerCase()===account);
+  const ok = user && await bcrypt.compare(password, user.pass);
+  if (!ok){
+    loginByIp.fail(req.ip);
+    loginByAccount.fail(account);
+    return res.status(401).json({ error: 'Invalid credentials' });
+  }
+  if (user.banned) return res.status(403).json({ error: 'Account banned' });
+  loginByAccount.reset(account);
+  send(res, await transact(async db=>{
+    const u = db.users.find(x=>x.id===user.id);
+    if (!u || u.banned) return fail(403, 'Account banned');
+    const safeUser = { id:u.id, name:u.name, email:u.email, role:u.role, balance:u.balance };
+    return reply({ ...issueTokens(db, u, req), user: safeUser });
+  }));
+});
+
+// Swaps a refresh token for a new access token and a new refresh token.
+// Each refresh token works once; replaying an old one revokes the session.
+api.post('/api/auth/refresh', { summary:'Swap a refresh token for new tokens', tags:['auth'],
+  body: obj({ refreshToken: ID })
+}, async (req,res)=>{
+  const { refreshToken } = req.body;
+  send(res, await transact(async db=>{
+    const r = rotateSession(db, refreshToken, { ttlMs: REFRESH_TTL_MS });
+    if (r.revoked) endSessions(r.revoked, 'refresh_reuse');
+    if (r.error) return fail(r.status, r.error);
+    const user = db.users.find(u=>u.id===r.session.userId);
+    if (!user || user.banned){
+      endSessions([revokeSession(db, r.session.id, user ? 'banned' : 'user_deleted')], 'banned');
+      return fail(403, 'Account banned');
+    }
+    return reply({ token: sign(user, r.session), refreshToken: r.refreshToken, expiresIn: ACCESS_TOKEN_TTL_SEC });
+  }));
+});
+
+api.post('/api/auth/logout', { summary:'End the current session', tags:['auth'] }, auth, async (req,res)=>{
+  send(res, await transact(async db=>{
+    const s = revokeSession(db, req.user.sid, 'logout');
+    endSessions(s ? [s] : [], 'logout');
+    return reply({ ok:true });
+  }));
+});
+
+const sessionView = (s, current)=> ({ id: s.id, ip: s.ip, userAgent: s.userAgent, createdAt: s.createdAt, lastUsedAt: s.lastUsedAt, expiresAt: s.expiresAt, current: s.id===current });
+api.get('/api/auth/sessions', { summary:'List your active sessions', tags:['auth'] }, auth, async (req,res)=>{
   const db = await loadDB();
-  const user = db.users.find(u=>u.email.toLowerCase()===String(email).toLowerCase());
-  if (!user) return res.status(401).json({ error: 'Invalid credentials' });
-  const ok = await bcrypt.compare(password, user.pass);
-  if (!ok) return res.status(401).json({ error: 'Invalid credentials' });
-  const token = sign(user);
-  const safeUser = { id:user.id, name:user.name, email:user.email, role:user.role, balance:user.balance };
-  res.json({ token, user: safeUser });
+  res.json(activeSessions(db, req.user.id).map(s=>sessionView(s, req.user.sid)));
+});
+// { id } ends one of your sessions, { others: true } all but the current one
+api.post('/api/auth/sessions/revoke', { summary:'End one or all other sessions', tags:['auth'],
+  body: obj({ id: str({ minLength: 1 }), others: bool() })
+}, auth, async (req,res)=>{
+  const { id, others } = req.body;
+  if (!id && others !== true) return validationError(res, [{ in:'body', field:'id', message:'is required unless others is true' }]);
+  send(res, await transact(async db=>{
+    let revoked;
+    if (others === true) revoked = revokeUserSessions(db, req.user.id, 'user_revoked', req.user.sid);
+    else {
+      const s = activeSessions(db, req.user.id).find(x=>x.id===id);
+      if (!s) return fail(404, 'Session not found');
+      revoked = [revokeSession(db, s.id, 'user_revoked')];
+    }
+    endSessions(revoked, 'user_revoked');
+    return reply({ ok:true, revoked: revoked.length });
+  }));
+});
+
+// PASSWORDS
+// Changing the password signs out every other session
+api.post('/api/auth/password/change', { summary:'Change your password', tags:['auth'],
+  body: obj({ currentPassword: required(str()), newPassword: PASSWORD })
+}, auth, async (req,res)=>{
+  const { currentPassword, newPassword } = req.body;
+  const [me] = await select('users', { id: req.user.id });
+  if (!me || !await bcrypt.compare(currentPassword, me.pass)) return res.status(401).json({ error:'Current password is wrong' });
+  const pass = await bcrypt.hash(newPassword, 10);
+  send(res, await transact(async db=>{
+    const u = db.users.find(x=>x.id===req.user.id);
+    if (!u) return fail(404, 'User not found');
+    u.pass = pass;
+    const revoked = revokeUserSessions(db, u.id, 'password_changed', req.user.sid);
+    endSessions(revoked, 'password_changed');
+    db.history.push({ userId: u.id, t:'Password changed', ts: Date.now() });
+    return reply({ ok:true, revokedSessions: revoked.length });
+  }));
+});
+
+// Always answers ok so the endpoint can't be used to find out which emails exist
+api.post('/api/auth/password/forgot', { summary:'Email a password reset link', tags:['auth'],
+  body: obj({ email: required(str({ trim: true, minLength: 1 })) })
+}, async (req,res)=>{
+  const { email } = req.body;
+  const user = await transact(async db=>{
+    const u = db.users.find(x=>x.email.toLowerCase()===email.toLowerCase());
+    if (!u || u.banned) return null;
+    return { email: u.email, name: u.name, token: createPasswordReset(db, u, RESET_TTL_MS) };
+  });
+  if (user){
+    const link = `${APP_URL}/reset-password?token=${encodeURIComponent(user.token)}`;
+    mailer.send({
+      to: user.email, subject: 'Reset your GiftNFT password',
+      text: `Hi ${user.name},\n\nUse this link to choose a new password (valid for ${Math.round(RESET_TTL_MS/60000)} minutes):\n${link}\n\nIf you didn't ask for this, ignore this email.`
+    }).catch(e=>console.error('[mail] reset mail failed:', e.message));
+  }
+  res.json({ ok:true });
+});
+
+// Resetting the password signs out every session
+api.post('/api/auth/password/reset', { summary:'Set a new password with a reset token', tags:['auth'],
+  body: obj({ token: ID, newPassword: PASSWORD })
+}, async (req,res)=>{
+  const { token, newPassword } = req.body;
+  const pass = await bcrypt.hash(newPassword, 10);
+  send(res, await transact(async db=>{
+    const r = usePasswordReset(db, token);
+    const u = r && db.users.find(x=>x.id===r.userId);
+    if (!u) return fail(400, 'Invalid or expired reset token');
+    u.pass = pass;
+    endSessions(revokeUserSessions(db, u.id, 'password_reset'), 'password_reset');
+    const account = u.email.toLowerCase();
+    afterCommit(()=> loginByAccount.reset(account));
+    db.history.push({ userId: u.id, t:'Password reset', ts: Date.now() });
+    return reply({ ok:true });
+  }));
 });
 
 // ----------------- MARKET -----------------
-app.get('/api/market/items', async (req,res)=>{
+// Query: q, collection, minPrice/maxPrice, level|minLevel/maxLevel, stars|minStars/maxStars,
+// minRating/maxRating, available=all|unowned|owned|listed, sort=createdAt|price|rating,
+// order=asc|desc, limit (max 200), cursor (nextCursor from the previous page)
+// fiat=USD,EUR|all adds displayPrices in those currencies
+api.get('/api/market/items', { summary:'Search the market', tags:['market'],
+  query: obj({ ...MARKET_QUERY.properties, fiat: str({ description: 'USD,EUR or all' }) })
+}, async (req,res)=>{
+  const { query, errors } = parseQuery(req.query);
+  if (errors) return validationError(res, errors.map(e=>({ in:'query', ...e })));
+  const page = queryItems(await select('items'), query);
+  const fiat = requestedFiat(req.query.fiat, FIAT_CURRENCIES);
+  if (fiat.length){
+    const rate = currentRate(await select('rates'));
+    page.items = page.items.map(it=>({ ...it, displayPrices: fiatPrices(effectivePrice(it), rate, fiat) }));
+  }
+  res.json(page);
+});
+
+// ----------------- COLLECTIONS -----------------
+function collectionView(db, c){
+  return { ...c, stats: collectionStats(db, c, SALE_KINDS) };
+}
+api.get('/api/collections', { summary:'List collections with stats', tags:['collections'] }, async (req,res)=>{
+  const db = await loadDB();
+  res.json(db.collections.map(c=>collectionView(db, c)));
+});
+api.get('/api/collections/:id', { summary:'Get a collection by id or slug', tags:['collections'] }, async (req,res)=>{
   const db = await loadDB();
-  res.json(db.items);
+  const c = db.collections.find(x=>x.id===req.params.id || x.slug===req.params.id);
+  if (!c) return res.status(404).json({ error:'Collection not found' });
+  const upcoming = db.drops.filter(d=>d.collectionId===c.id && d.status==='scheduled').map(d=>({ id:d.id, releaseAt:d.releaseAt, count:d.items.length }));
+  res.json({ ...collectionView(db, c), upcomingDrops: upcoming });
 });
 
+// market:update always carries { event, itemId, item } so clients can patch their
+// list in place; item is null when it was removed. Bulk changes set refetch:true.
+// Per-item events reach the `market` firehose plus that item's and collection's channels.
+const itemRooms = (item)=> ['market', 'item:'+item.id, 'collection:'+item.collection];
+function emitMarket(event, item, extra){
+  broadcast(itemRooms(item), 'market:update', { event, itemId: item.id, item: structuredClone(item), ...extra });
+  summaryChanged();
+}
+function emitMarketRemoved(event, item){
+  broadcast(itemRooms(item), 'market:update', { event, itemId: item.id, item: null });
+  summaryChanged();
+}
+
 
 // ----------------- RATE -----------------
-app.get('/api/rate', async (req,res)=>{
-  res.json({ tonUsd: TON_USD });
+const rateView = (r)=> ({ id: r.id, tonUsd: r.rates.USD, rates: r.rates, source: r.source, updatedAt: r.ts, currencies: FIAT_CURRENCIES });
+
+api.get('/api/rate', { summary:'Current exchange rate', tags:['rates'] }, async (req,res)=>{
+  res.json(rateView(currentRate(await select('rates'))));
+});
+// Query: from, to (ms timestamps), limit (max 1000, newest first)
+api.get('/api/rate/history', { summary:'Exchange rate history', tags:['rates'],
+  query: obj({ from: TIME, to: TIME, limit: LIMIT })
+}, async (req,res)=>{
+  const { from = 0, to = Infinity } = req.query;
+  const limit = Math.min(1000, req.query.limit || 100);
+  const rows = (await select('rates')).filter(r=>r.ts>=from && r.ts<=to).sort((a,b)=>b.ts-a.ts).slice(0, limit);
+  res.json(rows.map(rateView));
+});
+
+// Fetches the latest rate from RATE_SOURCE and makes it current
+async function refreshRate(actor){
+  const { rates, error } = normalizeRates(await rateSource.fetch(FIAT_CURRENCIES), FIAT_CURRENCIES);
+  if (error) throw new Error(`${rateSource.name}: ${error}`);
+  const row = await transact(async db=> setRate(db, rates, { source: rateSource.name, actor }));
+  io.emit('rate:update', rateView(row));
+  return row;
+}
+function startRateRefresh(){
+  if (!rateSource.fetch || !(RATE_REFRESH_MS > 0)) return;
+  const tick = async ()=>{
+    try { await refreshRate('system'); }
+    catch(e){ console.error('[rates] refresh failed:', e.message); }
+    setTimeout(tick, RATE_REFRESH_MS).unref();
+  };
+  tick();
+}
+
+// Admins set rates by hand ({ rates: { USD: 3.6 } }; other currencies keep their
+// value) or pull them from RATE_SOURCE right away
+api.post('/api/admin/rate', { summary:'Set exchange rates', tags:['rates'],
+  body: obj({ rates: required(map(TON, { description: 'TON price per currency, e.g. { "USD": 3.6 }' })) })
+}, auth, requirePerm('rates.manage'), async (req,res)=>{
+  const { rates, error } = normalizeRates(req.body.rates, FIAT_CURRENCIES);
+  if (error) return validationError(res, [{ in:'body', field:'rates', message: error }]);
+  const row = await transact(async db=>{
+    const before = snap(currentRate(db.rates)?.rates);
+    const r = setRate(db, rates, { source:'admin', actor: req.user.id });
+    req.audit({ target: { type:'rate', id: r.id }, before, after: r.rates });
+    return r;
+  });
+  io.emit('rate:update', rateView(row));
+  res.json({ ok:true, rate: rateView(row) });
 });
+api.post('/api/admin/rate/refresh', { summary:'Fetch the rate from RATE_SOURCE now', tags:['rates'] }, auth, requirePerm('rates.manage'), async (req,res)=>{
+  if (!rateSource.fetch) return res.status(400).json({ error:`RATE_SOURCE ${rateSource.name} has nothing to fetch` });
+  try { res.json({ ok:true, rate: rateView(await refreshRate(req.user.id)) }); }
+  catch(e){ res.status(502).json({ error: e.message }); }
+});
+
+// Amount in TON -> { usd, rateId } with the rate current inside this transaction
+function usdAt(db, ton){
+  const rate = currentRate(db.rates);
+  return { usd: +(ton * rate.rates.USD).toFixed(2), rateId: rate.id };
+}
 
 // ----------------- NOTIFICATIONS -----------------
-app.get('/api/notifications', auth, async (req,res)=>{
-  const db = await loadDB();
-  const list = (db.notifications || []).filter(n => n.userId === req.user.id).sort((a,b)=>b.ts-a.ts).slice(0,200);
+api.get('/api/notifications', { summary:'Your latest notifications', tags:['notifications'] }, auth, async (req,res)=>{
+  const list = (await select('notifications', { userId: req.user.id })).sort((a,b)=>b.ts-a.ts).slice(0,200);
   res.json(list);
 });
-app.post('/api/notifications/read', auth, async (req,res)=>{
-  const { ids=[] } = req.body || {};
-  await transact(async db=>{
-    (db.notifications = db.notifications || []).forEach(n=>{
+api.post('/api/notifications/read', { summary:'Mark notifications as read', tags:['notifications'],
+  body: obj({ ids: arr(str(), { default: [] }) })
+}, auth, async (req,res)=>{
+  const { ids } = req.body;
+  send(res, await transact(async db=>{
+    db.notifications.forEach(n=>{
       if (n.userId===req.user.id && ids.includes(n.id)) n.read = true;
     });
-    await saveDB(db);
-    res.json({ ok:true });
-  });
+    return reply({ ok:true });
+  }));
 });
 
 function pushNotify(db, userId, type, payload){
-  db.notifications = db.notifications || [];
   const n = { id: nanoid(12), userId, type, payload, read:false, ts: Date.now() };
   db.notifications.push(n);
-  io.to(userId).emit('notify', n);
+  broadcast('user:'+userId, 'notify', n);
 }
 
-// Attach Socket.IO room per-user on connection (if token provided query? skip for brevity)
-// We'll expose a /api/attach-socket to join room after auth on client
-app.post('/api/attach-socket', auth, (req,res)=>{
-  const sid = req.headers['x-sid'];
-  if (!sid) return res.json({ ok:false });
-  const sock = io.sockets.sockets.get(sid);
-  if (sock) { sock.join(req.user.id); }
-  res.json({ ok:true });
+// Outbound webhooks (lib/webhooks.js): queued in the same transaction as the
+// change and sent once it has been saved
+const webhooks = createWebhooks({
+  transact,
+  retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS ?? 10000),
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS ?? 8),
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS ?? 10000),
+  keep: Number(process.env.WEBHOOK_LOG_KEEP ?? 1000)
 });
+function emitWebhook(db, type, data){
+  if (webhooks.enqueue(db, type, structuredClone(data))) afterCommit(webhooks.kick);
+}
+const itemRef = (item)=> ({ id: item.id, name: item.name, collection: item.collection, level: item.level||0, stars: item.stars ?? null });
+const paymentRef = (p)=> ({
+  id: p.id, userId: p.userId, kind: p.kind, amountTon: p.amountTon, usd: p.usd, status: p.status, ts: p.ts,
+  tonAddress: p.tonAddress ?? null, txHash: p.txHash ?? null, receivedTon: p.receivedTon ?? null, note: p.note ?? null
+});
+
+// ----------------- SOCKETS -----------------
+// Clients pass their JWT in the handshake: io({ auth: { token, lastTs } }).
+// Authenticated sockets join `user:<id>` (and `admins` for staff roles) automatically;
+// anonymous sockets only get public market/auction events. Every socket starts in
+// the `market` firehose and can narrow it down with
+//   socket.emit('subscribe',   { market:false, items:['nft_1000'], collections:['Cats'] })
+//   socket.emit('unsubscribe', { items:[...], collections:[...] })
+// `lastTs` (the ts of the newest notification the client has seen) replays anything
+// newer as `notify:replay`; the same can be requested later with socket.emit('replay', { since }).
+io.use((socket, next)=>{
+  const t = socket.handshake.auth?.token || socket.handshake.query?.token;
+  if (!t) return next();
+  try {
+    socket.data.user = verifyAccess(t);
+    next();
+  } catch(e){ next(new Error(e.name==='SessionRevoked' ? 'Session revoked' : 'Invalid token')); }
+});
+
+async function replayNotifications(socket, since){
+  const user = socket.data.user;
+  if (!user) return;
+  const ts = Number(since) || 0;
+  const list = (await select('notifications', { userId: user.id })).filter(n=>n.ts > ts).sort((a,b)=>a.ts-b.ts).slice(-200);
+  socket.emit('notify:replay', { since: ts, notifications: list });
+}
+
+// Access tokens are short-lived; a socket goes when its token does and reconnects with a fresh one
+function expireSocket(socket){
+  const ms = socket.data.user.exp*1000 - Date.now();
+  if (ms <= 0){
+    socket.emit('session:expired');
+    return socket.disconnect(true);
+  }
+  socket.data.expiry = setTimeout(()=>expireSocket(socket), Math.min(ms, 2**31-1));
+}
+
+const replayFailed = (e)=> console.error('[socket] notification replay failed:', e.message);
+
+const channelNames = (list, prefix)=> (Array.isArray(list) ? list : []).slice(0, 100).map(x=>prefix+String(x));
 
 io.on('connection', (socket)=>{
-  // expose socket.id to client for room join
-  socket.emit('hello', { sid: socket.id });
+  const user = socket.data.user;
+  socket.join('market');
+  if (user){
+    socket.join('user:'+user.id);
+    if (isStaff(user.role)) socket.join('admins');
+    expireSocket(socket);
+    socket.on('disconnect', ()=> clearTimeout(socket.data.expiry));
+  }
+  socket.emit('hello', { sid: socket.id, userId: user?.id || null });
+  if (user && socket.handshake.auth?.lastTs !== undefined) replayNotifications(socket, socket.handshake.auth.lastTs).catch(replayFailed);
+
+  socket.on('subscribe', (msg={})=>{
+    if (msg.market === false) socket.leave('market');
+    if (msg.market === true) socket.join('market');
+    socket.join([...channelNames(msg.items, 'item:'), ...channelNames(msg.collections, 'collection:')]);
+  });
+  socket.on('unsubscribe', (msg={})=>{
+    [...channelNames(msg.items, 'item:'), ...channelNames(msg.collections, 'collection:')].forEach(r=>socket.leave(r));
+  });
+  socket.on('replay', (msg={})=>{ replayNotifications(socket, msg.since).catch(replayFailed); });
 });
 
 // ----------------- PAYMENTS -----------------
-// Model: db.payments = [{id, userId, kind:'deposit'|'withdraw', amountTon, usd, tonAddress?, status:'pending'|'approved'|'rejected', ts, adminId?, note? }]
+// Model: db.payments = [{id, userId, kind:'deposit'|'withdraw', amountTon, usd, tonAddress?, status:'pending'|'processing'|'approved'|'rejected', ts, processingAt?, adminId?, note?,
+//   memo?, provider?, receivedTon?, creditedTon?, txHashes?, overpaidTon?, txHash? }]
+// Deposits get a unique memo the user puts on their TON transfer. The payment
+// provider reports incoming transfers (signed callback or polling) and
+// applyTransfer credits whatever arrived to the owner of the memo; the deposit
+// is approved once the requested amount is in. Every transfer is recorded in
+// db.chainTransfers = [{ txHash, memo, amountTon, ts, receivedAt, paymentId, status:'credited'|'unmatched' }]
+// so a provider repeating a callback can't credit it twice.
+const paymentsUpdate = (payload)=>{ broadcast('admins', 'admin:payments:update', payload); summaryChanged(); };
 
-app.get('/api/payments/mine', auth, async (req,res)=>{
-  const db = await loadDB();
-  const list = (db.payments||[]).filter(p=>p.userId===req.user.id).sort((a,b)=>b.ts-a.ts).slice(0,200);
+function newMemo(db){
+  let memo;
+  do { memo = 'gn-'+nanoid(10); } while (db.payments.some(p=>p.memo===memo));
+  return memo;
+}
+
+function applyTransfer(db, t){
+  const amt = round(Number(t?.amountTon));
+  if (!t || typeof t.txHash !== 'string' || !t.txHash || !(amt>0)) return 'invalid';
+  if (db.chainTransfers.some(x=>x.txHash===t.txHash)) return 'duplicate';
+  const rec = { txHash: t.txHash, memo: t.memo ? String(t.memo) : null, amountTon: amt, ts: Number(t.ts)||Date.now(), receivedAt: Date.now(), paymentId: null, status:'unmatched' };
+  db.chainTransfers.push(rec);
+  const p = rec.memo && db.payments.find(x=>x.kind==='deposit' && x.memo===rec.memo);
+  if (!p || !db.users.find(u=>u.id===p.userId)){
+    paymentsUpdate({ txHash: rec.txHash, status:'unmatched' });
+    return 'unmatched';
+  }
+  // Money that arrived is credited even if the deposit was rejected; only what an
+  // admin already credited by approving the deposit by hand is skipped
+  rec.paymentId = p.id; rec.status = 'credited';
+  p.receivedTon = round((p.receivedTon||0) + amt);
+  const credit = round(p.receivedTon - (p.creditedTon||0));
+  if (credit > 0){
+    post(db, { kind:'deposit', amount: credit, debit:'external', credit: userAccount(p.userId), ref: p.id, actor: 'provider:'+payments.name });
+    p.creditedTon = p.receivedTon;
+  }
+  p.txHashes = [...(p.txHashes||[]), rec.txHash];
+  db.history.push({ userId: p.userId, t:`Deposit received ${amt} TON (tx ${rec.txHash.slice(0,12)})`, ts: Date.now() });
+  if (p.status==='pending' && p.receivedTon >= p.amountTon){
+    p.status = 'approved'; p.adminId = null;
+    pushNotify(db, p.userId, 'payment_approved', { id: p.id, kind: p.kind, amountTon: p.amountTon, receivedTon: p.receivedTon });
+    emitWebhook(db, 'payment.approved', { payment: paymentRef(p), by: 'provider:'+payments.name });
+  } else if (p.status==='pending'){
+    pushNotify(db, p.userId, 'deposit_partial', { id: p.id, amountTon: p.amountTon, receivedTon: p.receivedTon, remainingTon: round(p.amountTon - p.receivedTon), memo: p.memo });
+  }
+  if (p.receivedTon > p.amountTon){
+    p.overpaidTon = round(p.receivedTon - p.amountTon);
+    pushNotify(db, p.userId, 'deposit_overpaid', { id: p.id, amountTon: p.amountTon, receivedTon: p.receivedTon, overpaidTon: p.overpaidTon });
+  }
+  paymentsUpdate({ id: p.id, status: p.status, txHash: rec.txHash });
+  return 'credited';
+}
+
+api.get('/api/payments/mine', { summary:'Your deposits and withdrawals', tags:['payments'] }, auth, async (req,res)=>{
+  const list = (await select('payments', { userId: req.user.id })).sort((a,b)=>b.ts-a.ts).slice(0,200);
   res.json(list);
 });
 
-app.post('/api/payments/deposit/request', auth, async (req,res)=>{
-  const { amountTon } = req.body || {};
-  const amt = Number(amountTon);
-  if (!(amt>0)) return res.status(400).json({ error:'amountTon > 0 required' });
-  await transact(async db=>{
-    db.payments = db.payments || [];
-    const pay = { id:nanoid(12), userId:req.user.id, kind:'deposit', amountTon:amt, usd: +(amt*TON_USD).toFixed(2), status:'pending', ts:Date.now() };
+api.post('/api/payments/deposit/request', { summary:'Request a TON deposit', tags:['payments'], idempotent: true,
+  body: obj({ amountTon: required(TON) })
+}, auth, async (req,res)=>{
+  const amt = req.body.amountTon;
+  send(res, await transact(async db=>{
+    const pay = { id:nanoid(12), userId:req.user.id, kind:'deposit', amountTon:amt, ...usdAt(db, amt), status:'pending', ts:Date.now(), memo: newMemo(db), provider: payments.name };
     db.payments.push(pay);
-    pushNotify(db, req.user.id, 'deposit_requested', { id: pay.id, amountTon: amt });
-    // notify admins (send to admin rooms) — simple broadcast for demo
-    io.emit('admin:payments:update', { id: pay.id });
-    await saveDB(db);
-    res.json({ ok:true, payment: pay });
-  });
+    pushNotify(db, req.user.id, 'deposit_requested', { id: pay.id, amountTon: amt, memo: pay.memo });
+    emitWebhook(db, 'payment.requested', { payment: paymentRef(pay) });
+    paymentsUpdate({ id: pay.id });
+    return reply({ ok:true, payment: pay, instructions: { address: payments.depositAddress, memo: pay.memo, amountTon: amt } });
+  }));
 });
 
-app.post('/api/payments/withdraw/request', auth, async (req,res)=>{
-  const { amountTon, tonAddress } = req.body || {};
-  const amt = Number(amountTon);
-  if (!(amt>0)) return res.status(400).json({ error:'amountTon > 0 required' });
-  if (!tonAddress || tonAddress.length < 5) return res.status(400).json({ error:'Valid tonAddress required' });
-  await transact(async db=>{
+api.post('/api/payments/withdraw/request', { summary:'Request a TON withdrawal', tags:['payments'], idempotent: true,
+  body: obj({ amountTon: required(TON), tonAddress: required(str({ trim: true, minLength: 5 })) })
+}, auth, async (req,res)=>{
+  const { amountTon: amt, tonAddress } = req.body;
+  send(res, await transact(async db=>{
     const me = db.users.find(u=>u.id===req.user.id);
-    if (!me) { res.status(404).json({ error:'User not found' }); return; }
-    if ((me.balance||0) < amt) { res.status(400).json({ error:'Insufficient balance' }); return; }
-    // hold funds by debiting immediately to avoid double spend
-    me.balance -= amt;
-    db.payments = db.payments || [];
-    const pay = { id:nanoid(12), userId:req.user.id, kind:'withdraw', amountTon:amt, usd: +(amt*TON_USD).toFixed(2), tonAddress, status:'pending', ts:Date.now() };
+    if (!me) return fail(404, 'User not found');
+    if ((me.balance||0) < amt) return fail(400, 'Insufficient balance');
+    const pay = { id:nanoid(12), userId:req.user.id, kind:'withdraw', amountTon:amt, ...usdAt(db, amt), tonAddress, status:'pending', ts:Date.now() };
     db.payments.push(pay);
+    // hold funds by debiting immediately to avoid double spend
+    post(db, { kind:'withdraw_hold', amount: amt, debit: userAccount(me.id), credit:'escrow:withdraw', ref: pay.id, actor: me.id });
     db.history.push({ userId: req.user.id, t:`Withdrawal requested ${amt} TON to ${tonAddress} (held)`, ts: Date.now() });
     pushNotify(db, req.user.id, 'withdraw_requested', { id: pay.id, amountTon: amt });
-    io.emit('admin:payments:update', { id: pay.id });
-    await saveDB(db);
-    res.json({ ok:true, payment: pay });
-  });
+    emitWebhook(db, 'payment.requested', { payment: paymentRef(pay) });
+    paymentsUpdate({ id: pay.id });
+    return reply({ ok:true, payment: pay });
+  }));
 });
 
 // Admin view & actions
-app.get('/api/admin/payments', auth, adminOnly, async (req,res)=>{
-  const db = await loadDB();
+const PAYMENT_STATUSES = ['pending', 'processing', 'approved', 'rejected'];
+api.get('/api/admin/payments', { summary:'List payments', tags:['payments'],
+  query: obj({ status: str({ enum: PAYMENT_STATUSES }) })
+}, auth, requirePerm('payments.read'), async (req,res)=>{
   const { status } = req.query;
-  let list = db.payments || [];
-  if (status) list = list.filter(p=>p.status===status);
+  let list = await select('payments', status ? { status } : {});
   list = list.sort((a,b)=>b.ts-a.ts).slice(0,500);
   res.json(list);
 });
 
-app.post('/api/admin/payments/approve', auth, adminOnly, async (req,res)=>{
-  const { id } = req.body || {};
-  if (!id) return res.status(400).json({ error:'id required' });
-  await transact(async db=>{
-    const p = (db.payments||[]).find(x=>x.id===id);
-    if (!p) { res.status(404).json({ error:'Payment not found' }); return; }
-    if (p.status!=='pending') { res.status(400).json({ error:'Already processed' }); return; }
-    const user = db.users.find(u=>u.id===p.userId);
-    if (!user) { res.status(404).json({ error:'User not found' }); return; }
-    if (p.kind==='deposit'){
-      user.balance = (user.balance||0) + p.amountTon;
-      db.history.push({ userId: user.id, t:`Deposit approved ${p.amountTon} TON (+$${p.usd})`, ts: Date.now() });
-    } else if (p.kind==='withdraw'){
-      // funds already held; here we'd send on-chain TON. We just mark approved.
-      db.history.push({ userId: user.id, t:`Withdrawal approved ${p.amountTon} TON to ${p.tonAddress}`, ts: Date.now() });
-    }
-    p.status='approved'; p.adminId = req.user.id;
-    pushNotify(db, user.id, 'payment_approved', { id: p.id, kind: p.kind, amountTon: p.amountTon });
-    await saveDB(db);
-    io.emit('admin:payments:update', { id: p.id, status:'approved' });
-    res.json({ ok:true, payment: p });
-  });
+// Approving a deposit credits whatever part of it hasn't arrived yet.
+// Approving a withdrawal marks it `processing` (so it can't be sent twice), sends
+// it through the provider outside any transaction and then records the txHash;
+// if the provider fails it goes back to `pending`. With the manual provider the
+// admin passes the txHash of the transfer they made.
+// Large withdrawals (APPROVAL_WITHDRAW_TON and up) wait for a second admin, see APPROVALS.
+api.post('/api/admin/payments/approve', { summary:'Approve a deposit or withdrawal', tags:['payments'], idempotent: true,
+  body: obj({ id: ID, txHash: str({ trim: true, minLength: 1 }) })
+}, auth, requirePerm('payments.approve'), async (req,res)=>{
+  const { id, txHash } = req.body;
+  const [p] = await select('payments', { id });
+  if (p && p.kind==='withdraw' && p.status==='pending' && p.amountTon >= APPROVAL_WITHDRAW_TON){
+    return requestApproval(req, res, 'payments.approve', { id, txHash }, { key: 'payment:'+id, summary: `Withdrawal of ${p.amountTon} TON to ${p.tonAddress} for ${p.userId}` });
+  }
+  const r = await approvePayment(actionContext(req), { id, txHash });
+  res.status(r.status).json(r.body);
 });
-
-app.post('/api/admin/payments/reject', auth, adminOnly, async (req,res)=>{
-  const { id, note } = req.body || {};
-  if (!id) return res.status(400).json({ error:'id required' });
-  await transact(async db=>{
-    const p = (db.payments||[]).find(x=>x.id===id);
-    if (!p) { res.status(404).json({ error:'Payment not found' }); return; }
-    if (p.status!=='pending') { res.status(400).json({ error:'Already processed' }); return; }
+// Withdrawals this process is paying out right now; anything else left 'processing' was cut off by a restart
+const payouts = new Set();
+async function approvePayment(ctx, { id, txHash }){
+  // Deposits are credited right away; withdrawals are claimed here and paid out below
+  const claim = await transact(async db=>{
+    const p = db.payments.find(x=>x.id===id);
+    if (!p) return { status: 404, body: { error:'Payment not found' } };
+    if (p.status!=='pending') return { status: 400, body: { error: p.status==='processing' ? 'Payout already in progress' : 'Already processed' } };
     const user = db.users.find(u=>u.id===p.userId);
-    if (!user) { res.status(404).json({ error:'User not found' }); return; }
+    if (!user) return { status: 404, body: { error:'User not found' } };
+    const before = snap(p);
     if (p.kind==='withdraw'){
-      // refund held funds
-      user.balance = (user.balance||0) + p.amountTon;
-      db.history.push({ userId: user.id, t:`Withdrawal rejected ${p.amountTon} TON (refunded)`, ts: Date.now() });
+      p.status = 'processing'; p.processingAt = Date.now();
+      paymentsUpdate({ id: p.id, status: p.status });
+      return { payout: structuredClone(p), before };
     }
-    p.status='rejected'; p.adminId = req.user.id; p.note = note||'';
-    pushNotify(db, user.id, 'payment_rejected', { id: p.id, kind: p.kind, amountTon: p.amountTon, note: p.note });
-    await saveDB(db);
-    io.emit('admin:payments:update', { id: p.id, status:'rejected' });
-    res.json({ ok:true, payment: p });
+    const rest = round(Math.max(0, p.amountTon - (p.creditedTon||0)));
+    post(db, { kind:'deposit', amount: rest, debit:'external', credit: userAccount(user.id), ref: p.id, actor: ctx.actorId });
+    p.creditedTon = round((p.creditedTon||0) + rest);
+    db.history.push({ userId: user.id, t:`Deposit approved ${p.amountTon} TON (+$${p.usd})`, ts: Date.now() });
+    return markApproved(db, ctx, p, before);
   });
+  if (!claim.payout) return claim;
+
+  let sent;
+  payouts.add(id);
+  try { sent = await payments.send(claim.payout); }
+  catch(e){
+    await transact(async db=>{
+      const p = db.payments.find(x=>x.id===id);
+      if (p?.status!=='processing') return;
+      p.status = 'pending'; delete p.processingAt;
+      paymentsUpdate({ id: p.id, status: p.status });
+    });
+    return { status: 502, body: { error:'Payout failed: '+e.message } };
+  }
+  finally { payouts.delete(id); }
+  return transact(async db=>{
+    const p = db.payments.find(x=>x.id===id);
+    const hash = sent.txHash || txHash || null;
+    // Only a database import or restore could have changed it meanwhile
+    if (p?.status!=='processing') return { status: 409, body: { error:'Payout sent but the payment changed meanwhile; check it by hand', txHash: hash } };
+    return markSent(db, ctx, p, claim.before, hash);
+  });
+}
+function markSent(db, ctx, p, before, txHash){
+  p.txHash = txHash;
+  delete p.processingAt;
+  post(db, { kind:'withdraw', amount: p.amountTon, debit:'escrow:withdraw', credit:'external', ref: p.id, actor: ctx.actorId });
+  db.history.push({ userId: p.userId, t:`Withdrawal approved ${p.amountTon} TON to ${p.tonAddress}${p.txHash ? ` (tx ${p.txHash.slice(0,12)})` : ''}`, ts: Date.now() });
+  return markApproved(db, ctx, p, before);
+}
+function markApproved(db, ctx, p, before){
+  p.status='approved'; p.adminId = ctx.actorId;
+  if (ctx.approvedBy) p.approvedBy = ctx.approvedBy;
+  ctx.audit({ target: { type:'payment', id: p.id }, before, after: p });
+  pushNotify(db, p.userId, 'payment_approved', { id: p.id, kind: p.kind, amountTon: p.amountTon, txHash: p.txHash });
+  emitWebhook(db, 'payment.approved', { payment: paymentRef(p), by: ctx.actorId, approvedBy: ctx.approvedBy || null });
+  paymentsUpdate({ id: p.id, status:'approved' });
+  return { status: 200, body: { ok:true, payment: p } };
+}
+
+api.post('/api/admin/payments/reject', { summary:'Reject a deposit or withdrawal', tags:['payments'], idempotent: true,
+  body: obj({ id: ID, note: str({ maxLength: 500, default: '' }) })
+}, auth, requirePerm('payments.approve'), async (req,res)=>{
+  const { id, note } = req.body;
+  send(res, await transact(async db=>{
+    const p = db.payments.find(x=>x.id===id);
+    if (!p) return fail(404, 'Payment not found');
+    if (p.status!=='pending') return fail(400, 'Already processed');
+    if (!db.users.some(u=>u.id===p.userId)) return fail(404, 'User not found');
+    return reply(markRejected(db, actionContext(req), p, snap(p), note));
+  }));
 });
+function markRejected(db, ctx, p, before, note){
+  if (p.kind==='withdraw'){
+    // refund held funds
+    post(db, { kind:'withdraw_refund', amount: p.amountTon, debit:'escrow:withdraw', credit: userAccount(p.userId), ref: p.id, actor: ctx.actorId });
+    db.history.push({ userId: p.userId, t:`Withdrawal rejected ${p.amountTon} TON (refunded)`, ts: Date.now() });
+  }
+  p.status='rejected'; p.adminId = ctx.actorId; p.note = note;
+  delete p.processingAt;
+  ctx.audit({ target: { type:'payment', id: p.id }, before, after: p });
+  pushNotify(db, p.userId, 'payment_rejected', { id: p.id, kind: p.kind, amountTon: p.amountTon, note: p.note });
+  emitWebhook(db, 'payment.rejected', { payment: paymentRef(p), by: ctx.actorId });
+  paymentsUpdate({ id: p.id, status:'rejected' });
+  return { ok:true, payment: p };
+}
 
-// ----------------- ME -----------------
-app.get('/api/me', auth, async (req,res)=>{
-  const db = await loadDB();
-  const me = db.users.find(u=>u.id===req.user.id);
-  res.json({ id: me.id, name: me.name, email: me.email, role: me.role, balance: me.balance });
+// A withdrawal left 'processing' by a crash mid-payout: after checking the wallet,
+// either record the transfer that went out or refund the user from escrow
+api.post('/api/admin/payments/resolve', { summary:'Settle a withdrawal stuck in processing', tags:['payments'], idempotent: true,
+  body: obj({ id: ID, outcome: str({ required: true, enum: ['sent', 'refund'] }), txHash: str({ maxLength: 200 }), note: str({ maxLength: 500, default: '' }) })
+}, auth, requirePerm('payments.approve'), async (req,res)=>{
+  const { id, outcome, txHash, note } = req.body;
+  if (outcome==='sent' && !txHash) return res.status(400).json({ error:'txHash required for a sent payout' });
+  if (payouts.has(id)) return res.status(409).json({ error:'Payout still in progress' });
+  send(res, await transact(async db=>{
+    const p = db.payments.find(x=>x.id===id);
+    if (!p) return fail(404, 'Payment not found');
+    if (p.kind!=='withdraw' || p.status!=='processing') return fail(400, 'Not a withdrawal in processing');
+    const ctx = actionContext(req);
+    if (outcome==='sent') return markSent(db, ctx, p, snap(p), txHash);
+    return reply(markRejected(db, ctx, p, snap(p), note));
+  }));
 });
-app.get('/api/me/owned', auth, async (req,res)=>{
+
+// Incoming transfers the provider reported but no deposit memo matched
+api.get('/api/admin/payments/transfers', { summary:'Incoming transfers reported by the provider', tags:['payments'],
+  query: obj({ status: str({ enum: ['credited', 'unmatched'] }) })
+}, auth, requirePerm('payments.read'), async (req,res)=>{
+  const { status } = req.query;
   const db = await loadDB();
-  const owned = db.items.filter(it=>it.ownerId===req.user.id);
+  const list = db.chainTransfers.filter(t=>!status || t.status===status).sort((a,b)=>b.receivedAt-a.receivedAt).slice(0,500);
+  res.json(list);
+});
+
+// Signed callback from the payment provider. Repeated transfers answer
+// 'duplicate' with a 200 so the provider stops retrying.
+api.post('/api/payments/callback/:provider', { summary:'Signed transfer callback from the payment provider', tags:['payments'],
+  body: obj(undefined, { description: 'Provider-specific payload, signed in the x-payment-signature header' })
+}, async (req,res)=>{
+  if (req.params.provider !== payments.name) return res.status(404).json({ error:'Unknown provider' });
+  const transfers = payments.verifyCallback(req);
+  if (!transfers) return res.status(401).json({ error:'Invalid signature' });
+  send(res, await transact(async db=>{
+    const results = transfers.map(t=>({ txHash: t?.txHash, result: applyTransfer(db, t) }));
+    return reply({ ok:true, results });
+  }));
+});
+
+let pollCursor;
+async function pollPayments(){
+  try {
+    if (pollCursor === undefined) pollCursor = (await loadDB()).paymentsCursor;
+    const { transfers, cursor } = await payments.poll(pollCursor);
+    if (!transfers.length && cursor === pollCursor) return;
+    await transact(async db=>{
+      transfers.forEach(t=>applyTransfer(db, t));
+      db.paymentsCursor = pollCursor = cursor;
+    });
+  } catch(e){ console.error('[payments] poll failed:', e); }
+}
+function startPaymentPolling(){
+  if (!payments.poll || !(PAYMENT_POLL_MS > 0)) return;
+  const tick = async ()=>{ await pollPayments(); setTimeout(tick, PAYMENT_POLL_MS).unref(); };
+  tick();
+}
+
+// Local testing with PAYMENT_PROVIDER=mock: pretend TON was sent to the deposit
+// address, delivered as a signed callback (via:'callback') or on the next poll (via:'poll')
+api.post('/api/admin/payments/mock/transfer', { summary:'Simulate an incoming TON transfer (mock provider)', tags:['payments'],
+  body: obj({ memo: str(), amountTon: required(TON), txHash: str({ minLength: 1 }), via: str({ enum: ['callback', 'poll'] }) })
+}, auth, requirePerm('payments.approve'), async (req,res)=>{
+  if (!payments.simulate) return res.status(404).json({ error:'Only available with PAYMENT_PROVIDER=mock' });
+  const { memo, amountTon, txHash, via } = req.body;
+  const out = await payments.simulate({ memo, amountTon, txHash, via });
+  if (via === 'poll') await pollPayments();
+  res.json({ ok:true, ...out });
+});
+
+// ----------------- ME -----------------
+// fiat=USD,EUR|all adds balanceFiat in those currencies
+const FIAT_QUERY = obj({ fiat: str({ description: 'USD,EUR or all' }) });
+api.get('/api/me', { summary:'Your account', tags:['me'], query: FIAT_QUERY }, auth, async (req,res)=>{
+  const [me] = await select('users', { id: req.user.id });
+  const out = { id: me.id, name: me.name, email: me.email, role: me.role, balance: me.balance, permissions: permissionsOf(me.role) };
+  const fiat = requestedFiat(req.query.fiat, FIAT_CURRENCIES);
+  if (fiat.length) out.balanceFiat = fiatPrices(me.balance||0, currentRate(await select('rates')), fiat);
+  res.json(out);
+});
+api.get('/api/me/owned', { summary:'Items you own', tags:['me'] }, auth, async (req,res)=>{
+  const owned = await select('items', { ownerId: req.user.id });
   res.json(owned);
 });
-app.get('/api/me/history', auth, async (req,res)=>{
-  const db = await loadDB();
-  const hist = db.history.filter(h=>h.userId===req.user.id).slice(-100).reverse();
+api.get('/api/me/history', { summary:'Your recent history', tags:['me'] }, auth, async (req,res)=>{
+  const hist = (await select('history', { userId: req.user.id })).slice(-100).reverse();
   res.json(hist);
 });
+api.get('/api/me/ledger', { summary:'Ledger rows on your account', tags:['me'] }, auth, async (req,res)=>{
+  const acc = userAccount(req.user.id);
+  const rows = [...await select('ledger', { debit: acc }), ...await select('ledger', { credit: acc })];
+  res.json(rows.sort((a,b)=>b.ts-a.ts).slice(0,200));
+});
 
 // ----------------- TX PAY (buy/gift) -----------------
-app.post('/api/tx/pay', auth, async (req,res)=>{
-  const { itemId, mode, toUserId } = req.body || {};
-  if (!itemId || !mode) return res.status(400).json({ error: 'itemId and mode required' });
-  await transact(async (db)=>{
+const GIFT_FIELDS = { toEmail: str({ trim: true, format: 'email' }), message: str({ maxLength: 500 }), expiresInHours: num({ exclusiveMinimum: 0 }) };
+api.post('/api/tx/pay', { summary:'Buy an item or gift it', tags:['market'], idempotent: true,
+  body: obj({ itemId: ID, mode: required(str({ enum: ['buy', 'gift'] })), toUserId: str({ minLength: 1 }), claimLink: bool(), ...GIFT_FIELDS })
+}, auth, async (req,res)=>{
+  const { itemId, mode, toUserId, toEmail, claimLink, message, expiresInHours } = req.body;
+  send(res, await transact(async (db)=>{
     const buyer = db.users.find(u=>u.id===req.user.id);
     const item = db.items.find(x=>x.id===itemId);
-    if (!item) { res.status(404).json({ error:'Item not found' }); return; }
-    if (item.ownerId) { res.status(400).json({ error:'Already sold' }); return; }
-    const price = item.price; // always charge EXACT market price
+    if (!item) return fail(404, 'Item not found');
+    // Gifts by email or claim link are held in escrow until the recipient accepts
+    if (mode==='gift' && !toUserId && (toEmail || claimLink)){
+      const r = createGift(db, buyer, item, { toEmail, message, expiresInHours });
+      if (r.error) return fail(r.status, r.error);
+      return reply({ ok:true, message:'Gift sent', price: r.gift.price, gift: r.gift });
+    }
+    if (liveAuction(db, item.id)) return fail(400, 'Item is on auction');
+    // Owned items can only be bought while their owner has them listed
+    const listing = item.ownerId ? item.listing : null;
+    if (item.ownerId && !listing) return fail(400, 'Already sold');
+    if (listing && listing.sellerId===buyer.id) return fail(400, 'Cannot buy your own listing');
+    const price = listing ? listing.price : item.price; // always charge EXACT market price
     if (mode==='buy'){
-      if (buyer.balance < price) { res.status(400).json({ error:'Insufficient balance' }); return; }
-      buyer.balance -= price;
+      if (buyer.balance < price) return fail(400, 'Insufficient balance');
+      chargeForItem(db, buyer, item, price, 'purchase');
       item.ownerId = buyer.id;
       buyer.owned.push(item.id);
-      db.history.push({ userId: buyer.id, t: `Bought ${item.id} for ${price} TON`, ts: Date.now() });
+      db.history.push({ userId: buyer.id, t: listing ? `Bought ${item.id} from ${listing.sellerId} for ${price} TON` : `Bought ${item.id} for ${price} TON`, ts: Date.now() });
     } else if (mode==='gift'){
-      if (!toUserId) { res.status(400).json({ error:'toUserId required for gift mode' }); return; }
+      if (!toUserId) return fail(400, 'toUserId, toEmail or claimLink required for gift mode');
       const recipient = db.users.find(u=>u.id===toUserId);
-      if (!recipient) { res.status(404).json({ error:'Recipient not found' }); return; }
-      if (buyer.balance < price) { res.status(400).json({ error:'Insufficient balance' }); return; }
-      buyer.balance -= price;
+      if (!recipient) return fail(404, 'Recipient not found');
+      if (buyer.balance < price) return fail(400, 'Insufficient balance');
+      chargeForItem(db, buyer, item, price, 'gift');
       item.ownerId = recipient.id;
       recipient.owned.push(item.id);
       recipient.gifts = (recipient.gifts||0)+1;
       db.history.push({ userId: buyer.id, t: `Gifted ${item.id} to ${recipient.id} for ${price} TON`, ts: Date.now() });
       db.history.push({ userId: recipient.id, t: `Received gift ${item.id} from ${buyer.id}`, ts: Date.now() });
     } else {
-      res.status(400).json({ error:'Invalid mode' }); return;
+      return fail(400, 'Invalid mode');
     }
-    await saveDB(db);
-    io.emit('market:update', { itemId: item.id });
-    res.json({ ok:true, message: mode==='gift'?'Gift sent':'Purchased', price });
-  });
+    emitMarket(listing ? 'sold' : mode==='gift' ? 'gifted' : 'purchased', item, listing ? { sellerId: listing.sellerId, price } : { price });
+    if (mode==='gift') emitWebhook(db, 'gift.sent', { item: itemRef(item), senderId: buyer.id, recipientId: toUserId, recipientEmail: null, price, sellerId: listing?.sellerId ?? null, giftId: null });
+    else emitWebhook(db, 'item.sold', { item: itemRef(item), buyerId: buyer.id, sellerId: listing?.sellerId ?? null, price, via: listing ? 'listing' : 'primary' });
+    return reply({ ok:true, message: mode==='gift'?'Gift sent':'Purchased', price, ...usdAt(db, price) });
+  }));
+});
+
+// ----------------- SECONDARY MARKET (owner listings) -----------------
+// item.listing = { sellerId, price, ts } while an owner has the item up for sale.
+// Royalties are set per collection (collection.royaltyPct); null uses ROYALTY_DEFAULT_PCT.
+
+function royaltyPct(db, collection){
+  const pct = findCollection(db, collection)?.royaltyPct;
+  return typeof pct === 'number' ? pct : ROYALTY_DEFAULT_PCT;
+}
+
+// Charges the buyer for an item. Primary sales go to platform revenue; listed
+// items are settled with their seller. The caller assigns the new owner.
+function chargeForItem(db, buyer, item, price, kind){
+  if (item.ownerId && item.listing) return settleListing(db, item, buyer.id, kind);
+  post(db, { kind, amount: price, debit: userAccount(buyer.id), credit:'sales', ref: item.id, actor: buyer.id });
+}
+
+// Pays the seller of an item out of the buyer's balance, minus the collection
+// royalty which goes to the treasury, and takes the item out of the seller's `owned`.
+function paySeller(db, item, { buyerId, sellerId, price, kind }){
+  const seller = db.users.find(u=>u.id===sellerId);
+  const treasury = db.users.find(u=>u.id===TREASURY_ID);
+  const royalty = treasury ? +(price * royaltyPct(db, item.collection) / 100).toFixed(9) : 0;
+  const proceeds = +(price - royalty).toFixed(9);
+  post(db, { kind, amount: proceeds, debit: userAccount(buyerId), credit: seller ? userAccount(seller.id) : 'sales', ref: item.id, actor: buyerId });
+  if (seller){
+    seller.owned = seller.owned.filter(id=>id!==item.id);
+    pushNotify(db, seller.id, 'item_sold', { itemId: item.id, price, royalty, proceeds });
+  }
+  if (royalty > 0){
+    post(db, { kind:'royalty', amount: royalty, debit: userAccount(buyerId), credit: userAccount(treasury.id), ref: item.id, actor: buyerId });
+    db.history.push({ userId: treasury.id, t:`Royalty ${royalty} TON from sale of ${item.id}`, ts: Date.now() });
+  }
+  db.history.push({ userId: sellerId, t:`Sold ${item.id} to ${buyerId} for ${price} TON (royalty ${royalty} TON)`, ts: Date.now() });
+  return { seller, royalty, proceeds };
+}
+
+function settleListing(db, item, buyerId, kind){
+  const { sellerId, price } = item.listing;
+  const r = paySeller(db, item, { buyerId, sellerId, price, kind });
+  delete item.listing;
+  closeOffers(db, item.id, 'item sold');
+  return r;
+}
+
+// Returns { item } or { status, error }
+function ownListing(db, req, itemId){
+  const item = db.items.find(x=>x.id===itemId);
+  if (!item) return { status:404, error:'Item not found' };
+  if (item.ownerId !== req.user.id) return { status:403, error:'Not owner' };
+  return { item };
+}
+
+const LISTING = obj({ itemId: ID, price: required(TON) });
+api.post('/api/market/list', { summary:'List an owned item for sale', tags:['market'], body: LISTING }, auth, async (req,res)=>{
+  const { itemId, price } = req.body;
+  send(res, await transact(async db=>{
+    const { item, status, error } = ownListing(db, req, itemId);
+    if (error) return fail(status, error);
+    if (item.listing) return fail(400, 'Already listed');
+    item.listing = { sellerId: req.user.id, price, ts: Date.now() };
+    db.history.push({ userId: req.user.id, t:`Listed ${item.id} for ${price} TON`, ts: Date.now() });
+    emitMarket('listed', item, { price });
+    return reply({ ok:true, item, royaltyPct: royaltyPct(db, item.collection) });
+  }));
+});
+api.post('/api/market/reprice', { summary:'Change the price of your listing', tags:['market'], body: LISTING }, auth, async (req,res)=>{
+  const { itemId, price } = req.body;
+  send(res, await transact(async db=>{
+    const { item, status, error } = ownListing(db, req, itemId);
+    if (error) return fail(status, error);
+    if (!item.listing) return fail(400, 'Not listed');
+    const from = item.listing.price;
+    item.listing.price = price;
+    db.history.push({ userId: req.user.id, t:`Repriced ${item.id} from ${from} to ${price} TON`, ts: Date.now() });
+    emitMarket('repriced', item, { price });
+    return reply({ ok:true, item });
+  }));
+});
+api.post('/api/market/cancel', { summary:'Take your listing off the market', tags:['market'],
+  body: obj({ itemId: ID })
+}, auth, async (req,res)=>{
+  const { itemId } = req.body;
+  send(res, await transact(async db=>{
+    const { item, status, error } = ownListing(db, req, itemId);
+    if (error) return fail(status, error);
+    if (!item.listing) return fail(400, 'Not listed');
+    delete item.listing;
+    db.history.push({ userId: req.user.id, t:`Cancelled listing ${item.id}`, ts: Date.now() });
+    emitMarket('cancelled', item);
+    return reply({ ok:true, item });
+  }));
+});
+
+// ----------------- GIFTS (claimable) -----------------
+// Model: db.gifts = [{ id, code, itemId, senderId, recipientId?, recipientEmail?, message, price,
+//   status:'pending'|'accepted'|'declined'|'expired', createdAt, expiresAt, resolvedAt? }]
+// A pending gift keeps its item in escrow (ownerId = GIFT_ESCROW) until the recipient
+// accepts it. Declined or expired gifts go back to the sender. Gifts addressed by email
+// can be claimed only by that account; code-only gifts by whoever has the link.
+
+const GIFT_ESCROW = 'escrow:gifts';
+const GIFT_EXPIRY_HOURS = Number(process.env.GIFT_EXPIRY_HOURS) || 72;
+const normEmail = (e)=> String(e||'').trim().toLowerCase();
+
+function giftView(db, g){
+  const item = db.items.find(x=>x.id===g.itemId) || null;
+  const sender = db.users.find(u=>u.id===g.senderId);
+  return { ...g, item, senderName: sender?.name || null };
+}
+
+function canClaim(g, user){
+  if (g.recipientId) return g.recipientId===user.id;
+  if (g.recipientEmail) return g.recipientEmail===normEmail(user.email);
+  return true;
+}
+
+// Puts an item into gift escrow. If the sender already owns the item (and it is not
+// listed) it is wrapped as is; otherwise it is bought from the market first.
+// Returns { error, status } or { gift }.
+function createGift(db, sender, item, { toEmail, message, expiresInHours }){
+  if (toEmail && normEmail(toEmail)===normEmail(sender.email)) return { status:400, error:'Cannot gift to yourself' };
+  const ownItem = item.ownerId===sender.id && !item.listing;
+  let price = 0;
+  if (!ownItem){
+    if (liveAuction(db, item.id)) return { status:400, error:'Item is on auction' };
+    if (item.ownerId && !item.listing) return { status:400, error:'Already sold' };
+    if (item.listing && item.listing.sellerId===sender.id) return { status:400, error:'Cannot buy your own listing' };
+    price = item.ownerId ? item.listing.price : item.price;
+    if ((sender.balance||0) < price) return { status:400, error:'Insufficient balance' };
+    chargeForItem(db, sender, item, price, 'gift');
+  } else {
+    sender.owned = sender.owned.filter(id=>id!==item.id);
+    closeOffers(db, item.id, 'item gifted');
+  }
+  const email = toEmail ? normEmail(toEmail) : null;
+  const recipient = email ? db.users.find(u=>normEmail(u.email)===email) : null;
+  const hours = Number(expiresInHours) > 0 ? Math.min(Number(expiresInHours), 24*90) : GIFT_EXPIRY_HOURS;
+  const now = Date.now();
+  const g = {
+    id: nanoid(12), code: nanoid(16), itemId: item.id, senderId: sender.id,
+    recipientId: recipient?.id || null, recipientEmail: email,
+    message: String(message||'').slice(0, 500), price,
+    status:'pending', createdAt: now, expiresAt: now + hours*3600*1000
+  };
+  db.gifts.push(g);
+  item.ownerId = GIFT_ESCROW;
+  item.giftId = g.id;
+  const to = recipient?.id || email || 'claim link';
+  db.history.push({ userId: sender.id, t: price ? `Gifted ${item.id} to ${to} for ${price} TON (pending)` : `Gifted ${item.id} to ${to} (pending)`, ts: now });
+  pushNotify(db, sender.id, 'gift_sent', { giftId: g.id, itemId: item.id, to, code: g.code, expiresAt: g.expiresAt });
+  if (recipient){
+    db.history.push({ userId: recipient.id, t:`Gift ${item.id} from ${sender.id} waiting to be accepted`, ts: now });
+    pushNotify(db, recipient.id, 'gift_received', { giftId: g.id, itemId: item.id, from: sender.id, message: g.message, code: g.code, expiresAt: g.expiresAt });
+  }
+  if (email) mailGift(g, sender, item);
+  scheduleGifts(db);
+  emitMarket('gift_pending', item);
+  emitWebhook(db, 'gift.sent', { item: itemRef(item), senderId: sender.id, recipientId: g.recipientId, recipientEmail: g.recipientEmail, price, sellerId: null, giftId: g.id });
+  return { gift: g };
+}
+
+const claimPath = (g)=> '/gift.html?code='+encodeURIComponent(g.code);
+
+// Email gifts: the addressee is mailed the claim link once the gift is saved
+function mailGift(g, sender, item){
+  const note = g.message ? `\n\n"${g.message}"` : '';
+  const mail = {
+    to: g.recipientEmail, subject: `${sender.name} sent you a gift on GiftNFT`,
+    text: `Hi,\n\n${sender.name} sent you ${item.name}.${note}\n\nSign in or sign up with this email address and claim it before ${new Date(g.expiresAt).toUTCString()}:\n${APP_URL}${claimPath(g)}`
+  };
+  afterCommit(()=> mailer.send(mail).catch(e=>console.error('[mail] gift mail failed:', e.message)));
+}
+
+function returnGift(db, g, status){
+  const item = db.items.find(x=>x.id===g.itemId);
+  const sender = db.users.find(u=>u.id===g.senderId);
+  g.status = status; g.resolvedAt = Date.now();
+  if (item){
+    delete item.giftId;
+    item.ownerId = sender ? sender.id : null;
+    if (sender && !sender.owned.includes(item.id)) sender.owned.push(item.id);
+    emitMarket('gift_returned', item);
+  }
+  db.history.push({ userId: g.senderId, t:`Gift ${g.itemId} ${status}, item returned`, ts: Date.now() });
+  pushNotify(db, g.senderId, 'gift_'+status, { giftId: g.id, itemId: g.itemId });
+  if (g.recipientId){
+    db.history.push({ userId: g.recipientId, t:`Gift ${g.itemId} from ${g.senderId} ${status}`, ts: Date.now() });
+    pushNotify(db, g.recipientId, 'gift_'+status, { giftId: g.id, itemId: g.itemId });
+  }
+}
+
+// Gifts addressed to an email that had no account yet are linked on registration
+function linkPendingGifts(db, user){
+  for (const g of db.gifts){
+    if (g.status==='pending' && !g.recipientId && g.recipientEmail && g.recipientEmail===normEmail(user.email)){
+      g.recipientId = user.id;
+      pushNotify(db, user.id, 'gift_received', { giftId: g.id, itemId: g.itemId, from: g.senderId, message: g.message, code: g.code, expiresAt: g.expiresAt });
+    }
+  }
+}
+
+// Pending gifts past their expiry go back to the sender
+const giftTimer = createDueTimer({
+  label: 'gifts', transact,
+  nextAt: (db)=> Math.min(...db.gifts.filter(g=>g.status==='pending').map(g=>g.expiresAt)),
+  settle: (db, now)=> db.gifts.filter(g=>g.status==='pending' && g.expiresAt<=now).forEach(g=>returnGift(db, g, 'expired'))
+});
+const scheduleGifts = giftTimer.schedule;
+
+api.post('/api/gifts/send', { summary:'Gift an item by email or claim link', tags:['gifts'],
+  body: obj({ itemId: ID, ...GIFT_FIELDS })
+}, auth, async (req,res)=>{
+  const { itemId, toEmail, message, expiresInHours } = req.body;
+  send(res, await transact(async db=>{
+    const sender = db.users.find(u=>u.id===req.user.id);
+    const item = db.items.find(x=>x.id===itemId);
+    if (!item) return fail(404, 'Item not found');
+    const r = createGift(db, sender, item, { toEmail, message, expiresInHours });
+    if (r.error) return fail(r.status, r.error);
+    return reply({ ok:true, gift: r.gift, claimUrl: claimPath(r.gift) });
+  }));
+});
+
+// Public preview for the claim page
+api.get('/api/gifts/claim/:code', { summary:'Preview a gift by its claim code', tags:['gifts'] }, async (req,res)=>{
+  const db = await loadDB();
+  const g = db.gifts.find(x=>x.code===req.params.code);
+  if (!g) return res.status(404).json({ error:'Gift not found' });
+  const { code, recipientEmail, ...view } = giftView(db, g);
+  res.json({ ...view, addressed: !!(g.recipientId || g.recipientEmail) });
+});
+
+api.get('/api/gifts/sent', { summary:'Gifts you sent', tags:['gifts'] }, auth, async (req,res)=>{
+  const db = await loadDB();
+  res.json(db.gifts.filter(g=>g.senderId===req.user.id).sort((a,b)=>b.createdAt-a.createdAt).slice(0,200).map(g=>giftView(db, g)));
+});
+api.get('/api/gifts/received', { summary:'Gifts sent to you', tags:['gifts'] }, auth, async (req,res)=>{
+  const db = await loadDB();
+  const me = db.users.find(u=>u.id===req.user.id);
+  const list = db.gifts.filter(g=>g.recipientId===me.id || (!g.recipientId && g.recipientEmail && g.recipientEmail===normEmail(me.email)));
+  res.json(list.sort((a,b)=>b.createdAt-a.createdAt).slice(0,200).map(g=>giftView(db, g)));
+});
+
+// Returns { g, me } or { status, error }
+function findPendingGift(db, req){
+  const { id, code } = req.body;
+  const me = db.users.find(u=>u.id===req.user.id);
+  const g = db.gifts.find(x=> code ? x.code===code : x.id===id);
+  // Without the code only the addressee of an email/user gift can find it
+  const addressed = g && (g.recipientId || g.recipientEmail);
+  if (!g || (!code && !(addressed && canClaim(g, me)))) return { status:404, error:'Gift not found' };
+  if (g.status!=='pending') return { status:400, error:'Gift already '+g.status };
+  if (g.expiresAt <= Date.now()) { returnGift(db, g, 'expired'); return { status:400, error:'Gift expired' }; }
+  if (g.senderId===me.id) return { status:400, error:'Cannot claim your own gift' };
+  if (!canClaim(g, me)) return { status:403, error:'This gift is addressed to someone else' };
+  return { g, me };
+}
+
+const GIFT_REF = obj({ id: str({ minLength: 1 }), code: str({ minLength: 1 }) });
+api.post('/api/gifts/accept', { summary:'Accept a gift by id or code', tags:['gifts'], body: GIFT_REF }, auth, async (req,res)=>{
+  const { id, code } = req.body;
+  if (!id && !code) return validationError(res, [{ in:'body', field:'id', message:'or code is required' }]);
+  send(res, await transact(async db=>{
+    const found = findPendingGift(db, req);
+    if (found.error) return fail(found.status, found.error);
+    const { g, me } = found;
+    const item = db.items.find(x=>x.id===g.itemId);
+    if (!item) return fail(404, 'Gift item not found');
+    g.status = 'accepted'; g.recipientId = me.id; g.resolvedAt = Date.now();
+    delete item.giftId;
+    item.ownerId = me.id;
+    if (!me.owned.includes(item.id)) me.owned.push(item.id);
+    emitMarket('gifted', item);
+    me.gifts = (me.gifts||0)+1;
+    db.history.push({ userId: me.id, t:`Received gift ${g.itemId} from ${g.senderId}`, ts: Date.now() });
+    db.history.push({ userId: g.senderId, t:`Gift ${g.itemId} accepted by ${me.id}`, ts: Date.now() });
+    pushNotify(db, me.id, 'gift_accepted', { giftId: g.id, itemId: g.itemId });
+    pushNotify(db, g.senderId, 'gift_accepted', { giftId: g.id, itemId: g.itemId, by: me.id });
+    scheduleGifts(db);
+    return reply({ ok:true, gift: giftView(db, g) });
+  }));
+});
+api.post('/api/gifts/decline', { summary:'Decline a gift by id or code', tags:['gifts'], body: GIFT_REF }, auth, async (req,res)=>{
+  const { id, code } = req.body;
+  if (!id && !code) return validationError(res, [{ in:'body', field:'id', message:'or code is required' }]);
+  send(res, await transact(async db=>{
+    const found = findPendingGift(db, req);
+    if (found.error) return fail(found.status, found.error);
+    const { g, me } = found;
+    g.recipientId = g.recipientId || me.id;
+    returnGift(db, g, 'declined');
+    scheduleGifts(db);
+    return reply({ ok:true, gift: giftView(db, g) });
+  }));
+});
+
+// ----------------- AUCTIONS -----------------
+// Model: db.auctions = [{ id, itemId, type:'english'|'dutch', status:'live'|'settled'|'unsold'|'cancelled',
+//   startPrice, reservePrice, minIncrement, endPrice (dutch floor), extendSec, startsAt, endsAt,
+//   highBid: { userId, amount, ts }|null, bids: [{ userId, amount, ts }], winnerId?, closedAt? }]
+// English bids are held from the bidder's balance (like withdrawals) and refunded when outbid.
+// A Dutch auction sells to the first bidder at the current (falling) price.
+
+function liveAuction(db, itemId){
+  return db.auctions.find(a=>a.itemId===itemId && a.status==='live') || null;
+}
+
+function dutchPrice(a, now = Date.now()){
+  const f = Math.min(1, Math.max(0, (now - a.startsAt) / (a.endsAt - a.startsAt)));
+  return +(a.startPrice - (a.startPrice - a.endPrice) * f).toFixed(9);
+}
+
+function auctionView(a){
+  const view = { ...a, bidCount: a.bids.length };
+  delete view.bids;
+  if (a.type==='dutch' && a.status==='live') view.currentPrice = dutchPrice(a);
+  return view;
+}
+
+function emitAuction(a){
+  broadcast(['market', 'item:'+a.itemId], 'auction:update', auctionView(a));
+}
+
+function refundBid(db, a, reason){
+  const bid = a.highBid;
+  const bidder = bid && db.users.find(u=>u.id===bid.userId);
+  if (!bidder) return;
+  post(db, { kind:'bid_refund', amount: bid.amount, debit:'escrow:auction', credit: userAccount(bidder.id), ref: a.id, actor:'system' });
+  db.history.push({ userId: bidder.id, t:`Bid refunded ${bid.amount} TON on ${a.itemId} (${reason})`, ts: Date.now() });
+}
+
+function awardAuction(db, a, userId, price){
+  const item = db.items.find(x=>x.id===a.itemId);
+  const winner = db.users.find(u=>u.id===userId);
+  a.status = 'settled'; a.winnerId = userId; a.closedAt = Date.now();
+  if (item){
+    item.ownerId = userId;
+    delete item.auctionId;
+  }
+  if (!winner.owned.includes(a.itemId)) winner.owned.push(a.itemId);
+  db.history.push({ userId, t:`Won auction ${a.itemId} for ${price} TON`, ts: Date.now() });
+  pushNotify(db, userId, 'auction_won', { auctionId: a.id, itemId: a.itemId, price });
+  if (item){
+    emitMarket('auction_settled', item, { price });
+    emitWebhook(db, 'item.sold', { item: itemRef(item), buyerId: userId, sellerId: null, price, via: 'auction', auctionId: a.id });
+  }
+}
+
+// Closes an auction whose time is up: the highest bid wins if it meets the reserve,
+// otherwise the held bid is refunded and the item stays on the primary market.
+function closeAuction(db, a){
+  const item = db.items.find(x=>x.id===a.itemId);
+  const bid = a.highBid;
+  if (a.type==='english' && bid && item && bid.amount >= (a.reservePrice||0)){
+    post(db, { kind:'auction_sale', amount: bid.amount, debit:'escrow:auction', credit:'sales', ref: a.id, actor:'system' });
+    awardAuction(db, a, bid.userId, bid.amount);
+  } else {
+    if (bid){
+      refundBid(db, a, 'reserve not met');
+      pushNotify(db, bid.userId, 'auction_unsold', { auctionId: a.id, itemId: a.itemId, amount: bid.amount });
+    }
+    a.status = 'unsold'; a.closedAt = Date.now();
+    if (item) delete item.auctionId;
+    if (item) emitMarket('auction_unsold', item);
+  }
+  emitAuction(a);
+}
+
+function cancelAuction(db, a){
+  if (a.highBid){
+    refundBid(db, a, 'auction cancelled');
+    pushNotify(db, a.highBid.userId, 'auction_cancelled', { auctionId: a.id, itemId: a.itemId, amount: a.highBid.amount });
+  }
+  a.status = 'cancelled'; a.closedAt = Date.now();
+  const item = db.items.find(x=>x.id===a.itemId);
+  if (item) delete item.auctionId;
+  emitAuction(a);
+}
+
+// Auctions are closed by a timer armed for the earliest live auction end. It is
+// re-armed after every change and run on startup, so auctions that ended while
+// the server was down are settled as soon as it comes back.
+const auctionTimer = createDueTimer({
+  label: 'auctions', transact,
+  nextAt: (db)=> Math.min(...db.auctions.filter(a=>a.status==='live').map(a=>a.endsAt)),
+  settle: (db, now)=> db.auctions.filter(a=>a.status==='live' && a.endsAt<=now).forEach(a=>closeAuction(db, a))
+});
+const scheduleAuctions = auctionTimer.schedule;
+
+api.get('/api/auctions', { summary:'List auctions', tags:['auctions'],
+  query: obj({ status: str({ enum: ['live', 'settled', 'unsold', 'cancelled', 'all'], default: 'live' }) })
+}, async (req,res)=>{
+  const db = await loadDB();
+  const { status } = req.query;
+  res.json(db.auctions.filter(a=>status==='all' || a.status===status).map(auctionView));
+});
+api.get('/api/auctions/:id', { summary:'Get an auction with its latest bids', tags:['auctions'] }, async (req,res)=>{
+  const db = await loadDB();
+  const a = db.auctions.find(x=>x.id===req.params.id);
+  if (!a) return res.status(404).json({ error:'Auction not found' });
+  res.json({ ...auctionView(a), bids: a.bids.slice(-50).reverse() });
+});
+
+api.post('/api/auctions/bid', { summary:'Bid on an auction (amount is ignored for Dutch auctions)', tags:['auctions'],
+  body: obj({ auctionId: ID, amount: TON })
+}, auth, async (req,res)=>{
+  const { auctionId, amount } = req.body;
+  send(res, await transact(async db=>{
+    const a = db.auctions.find(x=>x.id===auctionId);
+    if (!a) return fail(404, 'Auction not found');
+    const now = Date.now();
+    if (a.status!=='live' || now>=a.endsAt) return fail(400, 'Auction is closed');
+    if (now < a.startsAt) return fail(400, 'Auction has not started');
+    const me = db.users.find(u=>u.id===req.user.id);
+    if (!me) return fail(404, 'User not found');
+
+    if (a.type==='dutch'){
+      const price = dutchPrice(a, now);
+      if ((me.balance||0) < price) return fail(400, 'Insufficient balance');
+      post(db, { kind:'auction_sale', amount: price, debit: userAccount(me.id), credit:'sales', ref: a.id, actor: me.id });
+      a.bids.push({ userId: me.id, amount: price, ts: now });
+      a.highBid = { userId: me.id, amount: price, ts: now };
+      awardAuction(db, a, me.id, price);
+      emitAuction(a);
+      scheduleAuctions(db);
+      return reply({ ok:true, won:true, price, auction: auctionView(a) });
+    }
+
+    const amt = amount;
+    const min = a.highBid ? +(a.highBid.amount + a.minIncrement).toFixed(9) : a.startPrice;
+    if (!(amt >= min)) return fail(400, `Bid must be at least ${min} TON`, { minBid: min });
+    // A bidder raising their own bid only needs the difference on top of what is held
+    const prev = a.highBid;
+    const held = prev && prev.userId===me.id ? prev.amount : 0;
+    if ((me.balance||0) + held < amt) return fail(400, 'Insufficient balance');
+    if (prev) refundBid(db, a, held ? 'raised' : 'outbid');
+    post(db, { kind:'bid_hold', amount: amt, debit: userAccount(me.id), credit:'escrow:auction', ref: a.id, actor: me.id });
+    a.highBid = { userId: me.id, amount: amt, ts: now };
+    a.bids.push({ ...a.highBid });
+    db.history.push({ userId: me.id, t:`Bid ${amt} TON on ${a.itemId} (held)`, ts: now });
+    if (prev && prev.userId!==me.id){
+      pushNotify(db, prev.userId, 'outbid', { auctionId: a.id, itemId: a.itemId, amount: amt, refunded: prev.amount });
+    }
+    // Anti-sniping: a bid in the last extendSec seconds pushes the end out
+    if (a.extendSec && a.endsAt - now < a.extendSec*1000){
+      a.endsAt = now + a.extendSec*1000;
+      scheduleAuctions(db);
+    }
+    emitAuction(a);
+    return reply({ ok:true, auction: auctionView(a) });
+  }));
+});
+
+api.post('/api/admin/auctions/create', { summary:'Put an unowned item on auction', tags:['auctions'],
+  body: obj({
+    itemId: ID, type: str({ enum: ['english', 'dutch'], default: 'english' }),
+    startPrice: required(TON), reservePrice: num({ minimum: 0, default: 0 }), minIncrement: num({ minimum: 0, default: 0.1 }),
+    endPrice: num({ minimum: 0, default: 0, description: 'Dutch floor price' }), durationSec: required(num({ exclusiveMinimum: 0 })),
+    extendSec: num({ minimum: 0, default: 60 }), startsAt: TIME
+  })
+}, auth, requirePerm('catalog.manage'), async (req,res)=>{
+  const { itemId, type, startPrice, reservePrice, minIncrement, endPrice, durationSec, extendSec, startsAt } = req.body;
+  if (type==='dutch' && !(endPrice<startPrice)) return validationError(res, [{ in:'body', field:'endPrice', message:'must be below startPrice for dutch auctions' }]);
+  send(res, await transact(async db=>{
+    const item = db.items.find(x=>x.id===itemId);
+    if (!item) return fail(404, 'Item not found');
+    if (item.ownerId) return fail(400, 'Already owned');
+    if (liveAuction(db, itemId)) return fail(400, 'Item already on auction');
+    const start = startsAt || Date.now();
+    const a = {
+      id: nanoid(12), itemId, type, status:'live',
+      startPrice, reservePrice, minIncrement, endPrice,
+      extendSec: type==='english' ? extendSec : 0,
+      startsAt: start, endsAt: start + durationSec*1000,
+      highBid: null, bids: [], createdBy: req.user.id
+    };
+    db.auctions.push(a);
+    item.auctionId = a.id;
+    req.audit({ target: { type:'auction', id: a.id }, after: a });
+    scheduleAuctions(db);
+    emitAuction(a);
+    emitMarket('auction_started', item);
+    return reply({ ok:true, auction: auctionView(a) });
+  }));
+});
+api.post('/api/admin/auctions/cancel', { summary:'Cancel a live auction and refund the high bid', tags:['auctions'],
+  body: obj({ auctionId: ID })
+}, auth, requirePerm('catalog.manage'), async (req,res)=>{
+  const { auctionId } = req.body;
+  send(res, await transact(async db=>{
+    const a = db.auctions.find(x=>x.id===auctionId);
+    if (!a) return fail(404, 'Auction not found');
+    if (a.status!=='live') return fail(400, 'Auction is closed');
+    const before = snap(a);
+    cancelAuction(db, a);
+    req.audit({ target: { type:'auction', id: a.id }, before, after: a });
+    scheduleAuctions(db);
+    return reply({ ok:true, auction: auctionView(a) });
+  }));
+});
+
+// ----------------- OFFERS -----------------
+// Model: db.offers = [{ id, itemId, buyerId, ownerId, amount, message, status:'pending'|'countered'|
+//   'accepted'|'rejected'|'cancelled'|'expired', counter?: { amount, message, ts }, createdAt,
+//   expiresAt (null = until withdrawn), resolvedAt?, reason? }]
+// Anyone can offer TON for an item another user owns. The amount is held from the
+// buyer's balance (OFFER_ESCROW) until the offer is accepted, rejected, cancelled
+// or expires. The owner it was made to can accept it, reject it or counter with
+// another price, which the buyer can then accept. An offer only stands while that
+// owner still has the item; selling it any other way closes it with a refund.
+
+const OFFER_ESCROW = 'escrow:offers';
+const OPEN_OFFER = ['pending', 'countered'];
+const isOpenOffer = (o)=> OPEN_OFFER.includes(o.status);
+
+function offerView(db, o){
+  const item = db.items.find(x=>x.id===o.itemId);
+  return { ...o, price: o.counter?.amount ?? o.amount, item: item ? { id: item.id, name: item.name, img: item.img, collection: item.collection } : null };
+}
+
+// Ends an open offer and gives the buyer back what is held for it
+function refundOffer(db, o, status, reason){
+  o.status = status; o.resolvedAt = Date.now();
+  if (reason) o.reason = reason;
+  post(db, { kind:'offer_refund', amount: o.amount, debit: OFFER_ESCROW, credit: userAccount(o.buyerId), ref: o.id, actor:'system' });
+  db.history.push({ userId: o.buyerId, t:`Offer ${o.amount} TON on ${o.itemId} ${status}${reason ? ` (${reason})` : ''}, refunded`, ts: Date.now() });
+}
+
+// Refunds every open offer on an item, e.g. after it was sold or removed
+function closeOffers(db, itemId, reason, exceptId = null){
+  for (const o of db.offers.filter(x=>x.itemId===itemId && x.id!==exceptId && isOpenOffer(x))){
+    refundOffer(db, o, 'cancelled', reason);
+    pushNotify(db, o.buyerId, 'offer_cancelled', { offerId: o.id, itemId, reason, refunded: o.amount });
+  }
+}
+
+function expireOffer(db, o){
+  refundOffer(db, o, 'expired');
+  pushNotify(db, o.buyerId, 'offer_expired', { offerId: o.id, itemId: o.itemId, refunded: o.amount });
+  pushNotify(db, o.ownerId, 'offer_expired', { offerId: o.id, itemId: o.itemId });
+}
+
+const offerTimer = createDueTimer({
+  label: 'offers', transact,
+  nextAt: (db)=> Math.min(...db.offers.filter(o=>isOpenOffer(o) && o.expiresAt).map(o=>o.expiresAt)),
+  settle: (db, now)=> db.offers.filter(o=>isOpenOffer(o) && o.expiresAt && o.expiresAt<=now).forEach(o=>expireOffer(db, o))
+});
+const scheduleOffers = offerTimer.schedule;
+
+// Finds an open offer for one of its two sides. Offers whose item changed hands
+// are closed on the spot. Returns { o, item } or { status, error }.
+function openOffer(db, req, offerId, side){
+  const o = db.offers.find(x=>x.id===offerId);
+  if (!o || (o.buyerId!==req.user.id && o.ownerId!==req.user.id)) return { status:404, error:'Offer not found' };
+  if (o[side]!==req.user.id) return { status:403, error: side==='ownerId' ? 'Only the owner can do this' : 'Only the buyer can do this' };
+  if (!isOpenOffer(o) || (o.expiresAt && o.expiresAt<=Date.now())) return { status:400, error:'Offer is '+(isOpenOffer(o) ? 'expired' : o.status) };
+  const item = db.items.find(x=>x.id===o.itemId);
+  if (!item || item.ownerId!==o.ownerId){
+    refundOffer(db, o, 'cancelled', 'item changed hands');
+    pushNotify(db, o.buyerId, 'offer_cancelled', { offerId: o.id, itemId: o.itemId, reason:'item changed hands', refunded: o.amount });
+    return { status:409, error:'The item changed hands; the offer was cancelled and refunded' };
+  }
+  return { o, item };
+}
+
+const OFFER_MESSAGE = str({ trim: true, maxLength: 500, default: '' });
+api.post('/api/offers/make', { summary:'Offer TON for an item another user owns', tags:['offers'],
+  body: obj({ itemId: ID, amount: required(TON), expiresInHours: num({ exclusiveMinimum: 0, maximum: 24*90, description: 'Omit to keep the offer open until withdrawn' }), message: OFFER_MESSAGE })
+}, auth, async (req,res)=>{
+  const { itemId, amount, expiresInHours, message } = req.body;
+  send(res, await transact(async db=>{
+    const item = db.items.find(x=>x.id===itemId);
+    if (!item) return fail(404, 'Item not found');
+    const owner = item.ownerId && db.users.find(u=>u.id===item.ownerId);
+    if (!owner) return fail(400, 'Only items owned by a user take offers');
+    if (owner.id===req.user.id) return fail(400, 'You own this item');
+    if (db.offers.some(o=>o.itemId===itemId && o.buyerId===req.user.id && isOpenOffer(o))) return fail(409, 'You already have an open offer on this item');
+    const me = db.users.find(u=>u.id===req.user.id);
+    if (!me) return fail(404, 'User not found');
+    if ((me.balance||0) < amount) return fail(400, 'Insufficient balance');
+    const now = Date.now();
+    const o = { id: nanoid(12), itemId, buyerId: me.id, ownerId: owner.id, amount, message, status:'pending', createdAt: now, expiresAt: expiresInHours ? now + expiresInHours*3600000 : null };
+    db.offers.push(o);
+    post(db, { kind:'offer_hold', amount, debit: userAccount(me.id), credit: OFFER_ESCROW, ref: o.id, actor: me.id });
+    db.history.push({ userId: me.id, t:`Offered ${amount} TON for ${itemId} (held)`, ts: now });
+    pushNotify(db, owner.id, 'offer_received', { offerId: o.id, itemId, amount, message, fromUserId: me.id });
+    scheduleOffers(db);
+    return reply({ ok:true, offer: offerView(db, o) });
+  }));
+});
+
+api.post('/api/offers/counter', { summary:'Answer an offer on your item with another price', tags:['offers'],
+  body: obj({ offerId: ID, amount: required(TON), message: OFFER_MESSAGE })
+}, auth, async (req,res)=>{
+  const { offerId, amount, message } = req.body;
+  send(res, await transact(async db=>{
+    const found = openOffer(db, req, offerId, 'ownerId');
+    if (found.error) return fail(found.status, found.error);
+    const { o } = found;
+    o.status = 'countered';
+    o.counter = { amount, message, ts: Date.now() };
+    pushNotify(db, o.buyerId, 'offer_countered', { offerId: o.id, itemId: o.itemId, amount, message });
+    return reply({ ok:true, offer: offerView(db, o) });
+  }));
+});
+
+// The owner accepts a pending offer at its amount; the buyer accepts a counter at the
+// counter price, topping up or getting back the difference from what is held.
+api.post('/api/offers/accept', { summary:'Accept an offer (owner) or a counter-offer (buyer)', tags:['offers'],
+  body: obj({ offerId: ID })
+}, auth, async (req,res)=>{
+  const { offerId } = req.body;
+  send(res, await transact(async db=>{
+    const o = db.offers.find(x=>x.id===offerId);
+    const side = o?.buyerId===req.user.id ? 'buyerId' : 'ownerId';
+    const found = openOffer(db, req, offerId, side);
+    if (found.error) return fail(found.status, found.error);
+    const { item } = found;
+    if (side==='ownerId' && o.status!=='pending') return fail(400, 'You countered this offer; wait for the buyer');
+    if (side==='buyerId' && o.status!=='countered') return fail(400, 'Only a counter-offer can be accepted by the buyer');
+    const buyer = db.users.find(u=>u.id===o.buyerId);
+    if (!buyer) return fail(404, 'Buyer not found');
+    const price = o.counter?.amount ?? o.amount;
+    if ((buyer.balance||0) + o.amount < price) return fail(400, 'Insufficient balance');
+    // Release the hold and charge the buyer the final price
+    post(db, { kind:'offer_release', amount: o.amount, debit: OFFER_ESCROW, credit: userAccount(buyer.id), ref: o.id, actor: req.user.id });
+    const { royalty, proceeds } = paySeller(db, item, { buyerId: buyer.id, sellerId: o.ownerId, price, kind:'offer_sale' });
+    delete item.listing;
+    item.ownerId = buyer.id;
+    if (!buyer.owned.includes(item.id)) buyer.owned.push(item.id);
+    o.status = 'accepted'; o.price = price; o.resolvedAt = Date.now();
+    db.history.push({ userId: buyer.id, t:`Bought ${item.id} from ${o.ownerId} for ${price} TON (offer)`, ts: Date.now() });
+    closeOffers(db, item.id, 'item sold', o.id);
+    pushNotify(db, buyer.id, 'offer_accepted', { offerId: o.id, itemId: item.id, price });
+    scheduleOffers(db);
+    emitMarket('sold', item, { sellerId: o.ownerId, price });
+    emitWebhook(db, 'item.sold', { item: itemRef(item), buyerId: buyer.id, sellerId: o.ownerId, price, via: 'offer', offerId: o.id });
+    return reply({ ok:true, offer: offerView(db, o), price, royalty, proceeds });
+  }));
+});
+
+api.post('/api/offers/reject', { summary:'Reject an offer on your item', tags:['offers'],
+  body: obj({ offerId: ID })
+}, auth, async (req,res)=>{
+  const { offerId } = req.body;
+  send(res, await transact(async db=>{
+    const found = openOffer(db, req, offerId, 'ownerId');
+    if (found.error) return fail(found.status, found.error);
+    const { o } = found;
+    refundOffer(db, o, 'rejected');
+    pushNotify(db, o.buyerId, 'offer_rejected', { offerId: o.id, itemId: o.itemId, refunded: o.amount });
+    scheduleOffers(db);
+    return reply({ ok:true, offer: offerView(db, o) });
+  }));
+});
+
+api.post('/api/offers/cancel', { summary:'Withdraw your offer (or decline a counter-offer)', tags:['offers'],
+  body: obj({ offerId: ID })
+}, auth, async (req,res)=>{
+  const { offerId } = req.body;
+  send(res, await transact(async db=>{
+    const found = openOffer(db, req, offerId, 'buyerId');
+    if (found.error) return fail(found.status, found.error);
+    const { o } = found;
+    refundOffer(db, o, 'cancelled', 'withdrawn by buyer');
+    pushNotify(db, o.ownerId, 'offer_cancelled', { offerId: o.id, itemId: o.itemId, reason:'withdrawn by buyer' });
+    scheduleOffers(db);
+    return reply({ ok:true, offer: offerView(db, o) });
+  }));
+});
+
+const OFFER_LIST = obj({ status: str({ enum: ['open', 'pending', 'countered', 'accepted', 'rejected', 'cancelled', 'expired', 'all'], default: 'open' }) });
+const offerList = (db, side, userId, status)=> db.offers
+  .filter(o=>o[side]===userId && (status==='all' || (status==='open' ? isOpenOffer(o) : o.status===status)))
+  .sort((a,b)=>b.createdAt-a.createdAt).slice(0,200).map(o=>offerView(db, o));
+api.get('/api/offers/made', { summary:'Offers you made, newest first', tags:['offers'], query: OFFER_LIST }, auth, async (req,res)=>{
+  res.json(offerList(await loadDB(), 'buyerId', req.user.id, req.query.status));
+});
+api.get('/api/offers/received', { summary:'Offers on your items, newest first', tags:['offers'], query: OFFER_LIST }, auth, async (req,res)=>{
+  res.json(offerList(await loadDB(), 'ownerId', req.user.id, req.query.status));
+});
+api.get('/api/offers/item/:id', { summary:'Open offers on an item', tags:['offers'] }, async (req,res)=>{
+  const db = await loadDB();
+  res.json(db.offers.filter(o=>o.itemId===req.params.id && isOpenOffer(o)).sort((a,b)=>b.amount-a.amount)
+    .map(({ id, amount, status, counter, createdAt, expiresAt })=>({ id, amount, status, counter: counter ? { amount: counter.amount } : null, createdAt, expiresAt })));
 });
 
 // ----------------- UPGRADE (per-NFT by ID) -----------------
-app.post('/api/nft/upgrade', auth, async (req,res)=>{
-  const { id } = req.body || {};
-  if (!id) return res.status(400).json({ error:'id required' });
-  await transact(async (db)=>{
+// Rules come from lib/upgrade.js per collection. Each attempt is rolled from a seed
+// that is stored on the history entry, so outcomes can be audited and re-rolled with
+// rollUpgrade(rule, item, seed). Set UPGRADE_SEED to make seeds predictable (tests).
+const UPGRADE_SEED = process.env.UPGRADE_SEED || '';
+
+function upgradeQuote(db, item, user){
+  const rule = ruleFor(db, item.collection);
+  const level = item.level || 0;
+  const maxed = atMaxLevel(rule, level);
+  const cost = upgradeCost(rule, level);
+  return {
+    itemId: item.id, collection: item.collection, level, maxLevel: rule.maxLevel, maxed,
+    cost, chance: maxed ? 0 : successChance(rule, level), onFailure: rule.onFailure,
+    traitChance: rule.traitChance, traits: rule.traits,
+    balance: user?.balance ?? null, canAfford: user ? (user.balance||0) >= cost : null
+  };
+}
+
+api.get('/api/nft/upgrade/preview', { summary:'Cost and odds of upgrading an owned item', tags:['upgrade'],
+  query: obj({ id: ID })
+}, auth, async (req,res)=>{
+  const { id } = req.query;
+  const db = await loadDB();
+  const item = db.items.find(x=>x.id===id);
+  if (!item) return res.status(404).json({ error:'Item not found' });
+  if (item.ownerId !== req.user.id) return res.status(403).json({ error:'Not owner' });
+  res.json(upgradeQuote(db, item, db.users.find(u=>u.id===req.user.id)));
+});
+
+api.post('/api/nft/upgrade', { summary:'Try to upgrade an owned item', tags:['upgrade'],
+  body: obj({ id: ID })
+}, auth, async (req,res)=>{
+  const { id } = req.body;
+  send(res, await transact(async (db)=>{
     const item = db.items.find(x=>x.id===id);
-    if (!item) { res.status(404).json({ error:'Item not found' }); return; }
-    if (item.ownerId !== req.user.id) { res.status(403).json({ error:'Not owner' }); return; }
-    item.stars = Math.max(0, (item.stars||0)-1);
-    item.level = (item.level||0)+1;
-    db.history.push({ userId: req.user.id, t: `Upgraded ${item.id} to level ${item.level} (stars ${item.stars})`, ts: Date.now() });
-    await saveDB(db);
-    io.emit('market:update', { itemId: item.id });
-    res.json({ ok:true, message:`Upgraded ${item.id} → level ${item.level}`, item });
-  });
+    if (!item) return fail(404, 'Item not found');
+    if (item.ownerId !== req.user.id) return fail(403, 'Not owner');
+    const me = db.users.find(u=>u.id===req.user.id);
+    const rule = ruleFor(db, item.collection);
+    if (atMaxLevel(rule, item.level||0)) return fail(400, `Already at max level ${rule.maxLevel}`);
+    const cost = upgradeCost(rule, item.level||0);
+    if ((me.balance||0) < cost) return fail(400, 'Insufficient balance', { cost });
+    const attempt = item.upgradeAttempts = (item.upgradeAttempts||0) + 1;
+    const seed = UPGRADE_SEED ? `${UPGRADE_SEED}:${item.id}:${attempt}` : nanoid(16);
+    const outcome = rollUpgrade(rule, item, seed);
+    post(db, { kind:'upgrade', amount: cost, debit: userAccount(me.id), credit:'upgrades', ref: item.id, actor: me.id });
+    if (outcome.success) item.stars = Math.max(0, (item.stars||0)-1);
+    item.level = outcome.toLevel;
+    if (outcome.traits) item.traits = { ...(item.traits||{}), ...outcome.traits };
+    const t = outcome.success
+      ? `Upgraded ${item.id} to level ${item.level} (stars ${item.stars})${outcome.traits ? ' new traits '+JSON.stringify(outcome.traits) : ''}`
+      : `Upgrade of ${item.id} failed at level ${outcome.fromLevel}${item.level!==outcome.fromLevel ? ', dropped to level '+item.level : ''}`;
+    db.history.push({ userId: me.id, t: cost ? `${t} for ${cost} TON` : t, ts: Date.now(), kind:'upgrade', itemId: item.id, cost, ...outcome });
+    emitMarket('upgraded', item, { success: outcome.success });
+    emitWebhook(db, 'item.upgraded', { item: itemRef(item), userId: me.id, success: outcome.success, fromLevel: outcome.fromLevel, toLevel: item.level, cost, traits: outcome.traits || null });
+    return reply({ ok:true, success: outcome.success, message: outcome.success ? `Upgraded ${item.id} → level ${item.level}` : `Upgrade failed (${item.id} is level ${item.level})`, item, cost, outcome });
+  }));
 });
 
-// ----------------- ADMIN -----------------
-app.get('/api/admin/users', auth, adminOnly, async (req,res)=>{
+// Admin: per-collection upgrade rules (rule: null removes the override)
+const PROBABILITY = num({ minimum: 0, maximum: 1 });
+const UPGRADE_RULE = obj({
+  maxLevel: int({ minimum: 0, nullable: true }), baseCost: num({ minimum: 0 }), costPerLevel: num({ minimum: 0 }),
+  successRates: arr(PROBABILITY, { minItems: 1 }), onFailure: str({ enum: ['keep', 'downgrade'] }), traitChance: PROBABILITY,
+  traits: map(arr(obj({ value: required(any()), weight: num({ exclusiveMinimum: 0 }) }), { minItems: 1 }))
+}, { nullable: true, description: 'Missing fields use the default rule; null removes the override' });
+
+api.get('/api/admin/upgrade-rules', { summary:'Upgrade rule overrides per collection', tags:['upgrade'] }, auth, requirePerm('catalog.manage'), async (req,res)=>{
   const db = await loadDB();
-  const safe = db.users.map(u=>({ id:u.id, name:u.name, email:u.email, role:u.role, balance:u.balance, gifts:u.gifts||0 }));
+  res.json(db.upgradeRules);
+});
+api.post('/api/admin/upgrade-rules', { summary:'Set or remove a collection upgrade rule', tags:['upgrade'],
+  body: obj({ collection: ID, rule: required(UPGRADE_RULE) })
+}, auth, requirePerm('catalog.manage'), async (req,res)=>{
+  const { collection, rule } = req.body;
+  let normalized = null;
+  if (rule !== null){
+    const r = normalizeRule(rule);
+    if (r.error) return validationError(res, [{ in:'body', field:'rule', message: r.error }]);
+    normalized = r.rule;
+  }
+  send(res, await transact(async db=>{
+    const before = snap(db.upgradeRules[collection]);
+    if (normalized) db.upgradeRules[collection] = normalized;
+    else delete db.upgradeRules[collection];
+    req.audit({ target: { type:'upgradeRule', id: collection }, before, after: normalized });
+    return reply({ ok:true, collection, rule: normalized });
+  }));
+});
+
+// ----------------- ADMIN -----------------
+api.get('/api/admin/users', { summary:'List users', tags:['admin'] }, auth, requirePerm('users.read'), async (req,res)=>{
+  const safe = (await select('users')).map(u=>({ id:u.id, name:u.name, email:u.email, role:u.role, balance:u.balance, gifts:u.gifts||0 }));
   res.json(safe);
 });
-app.post('/api/admin/gift', auth, adminOnly, async (req,res)=>{
-  const { toUserId, itemId } = req.body || {};
-  if (!toUserId || !itemId) return res.status(400).json({ error:'toUserId and itemId required' });
-  await transact(async (db)=>{
+api.post('/api/admin/gift', { summary:'Give an unowned item to a user, charging them its price', tags:['admin'], idempotent: true,
+  body: obj({ toUserId: ID, itemId: ID })
+}, auth, requirePerm('items.transfer'), async (req,res)=>{
+  const { toUserId, itemId } = req.body;
+  send(res, await transact(async (db)=>{
     const user = db.users.find(u=>u.id===toUserId);
     const item = db.items.find(x=>x.id===itemId);
-    if (!user) { res.status(404).json({ error:'User not found' }); return; }
-    if (!item) { res.status(404).json({ error:'Item not found' }); return; }
-    if (item.ownerId) { res.status(400).json({ error:'Already owned' }); return; }
+    if (!user) return fail(404, 'User not found');
+    if (!item) return fail(404, 'Item not found');
+    if (item.ownerId) return fail(400, 'Already owned');
+    if (liveAuction(db, item.id)) return fail(400, 'Item is on auction');
     const price = item.price;
-    if (user.balance < price){ res.status(400).json({ error:'Recipient has insufficient balance to be charged' }); return; }
+    if (user.balance < price) return fail(400, 'Recipient has insufficient balance to be charged');
+    const before = snap(item);
     // Charge the RECIPIENT (per your requirement) at the exact market price
-    user.balance -= price;
+    post(db, { kind:'admin_gift', amount: price, debit: userAccount(user.id), credit:'sales', ref: item.id, actor: req.user.id });
     item.ownerId = user.id;
     user.owned.push(item.id);
     user.gifts = (user.gifts||0)+1;
     db.history.push({ userId: user.id, t:`Admin issued gift ${item.id} (charged ${price} TON)`, ts: Date.now() });
-    await saveDB(db);
-    io.emit('market:update', { itemId: item.id });
-    res.json({ ok:true, message:`Gifted ${item.id} to ${user.id} and charged ${price} TON` });
-  });
+    req.audit({ target: { type:'item', id: item.id }, before, after: item, summary: { toUserId: user.id, charged: price } });
+    emitMarket('gifted', item, { price });
+    return reply({ ok:true, message:`Gifted ${item.id} to ${user.id} and charged ${price} TON` });
+  }));
 });
 
 
 // ----------------- ADMIN PLUS (v2) -----------------
-app.get('/api/admin/summary', auth, adminOnly, async (req,res)=>{
+// Finance reports (lib/analytics.js). Default range: the last 30 days.
+const SUMMARY_QUERY = {
+  from: TIME, to: TIME, interval: str({ enum: INTERVALS, default: 'day' }),
+  top: int({ minimum: 1, maximum: 100, default: 10, description: 'Rows in topCollections and topGifters' })
+};
+const SUMMARY_RANGE_MS = 30 * 86400000;
+function summaryReport(db, q = {}){
+  const to = q.to ?? Date.now();
+  const from = q.from ?? to - SUMMARY_RANGE_MS;
+  return buildReport(db, { from, to, interval: q.interval || 'day', top: q.top || 10, treasuryId: TREASURY_ID });
+}
+const rangeError = (res, q)=> q.from !== undefined && q.to !== undefined && q.from > q.to && validationError(res, [{ in:'query', field:'from', message:'must not be after to' }]);
+
+api.get('/api/admin/summary', { summary:'Platform totals and finance reports', tags:['reports'],
+  query: obj(SUMMARY_QUERY)
+}, auth, requirePerm('reports.read'), async (req,res)=>{
+  if (rangeError(res, req.query)) return;
   const db = await loadDB();
   const totalSupply = db.items.length;
   const owned = db.items.filter(i=>i.ownerId).length;
   const users = db.users.length;
-  const volume = db.history.filter(h=>/Bought|Gifted|issued gift/i.test(h.t)).length;
-  res.json({ users, totalSupply, owned, volume });
+  const sales = db.ledger.filter(e=>SALE_KINDS.includes(e.kind));
+  const volume = sales.filter(e=>e.kind!=='royalty').length;
+  const volumeTon = +sales.reduce((s,e)=>s+e.amount, 0).toFixed(9);
+  res.json({ users, totalSupply, owned, volume, volumeTon, ...summaryReport(db, req.query) });
+});
+// One report as CSV, same filters
+api.get('/api/admin/summary/export', { summary:'Export a finance report as CSV', tags:['reports'],
+  query: obj({ ...SUMMARY_QUERY, report: required(str({ enum: Object.keys(REPORTS) })), format: str({ enum: ['csv'], default: 'csv' }) })
+}, auth, requirePerm('reports.read'), async (req,res)=>{
+  if (rangeError(res, req.query)) return;
+  const { report } = req.query;
+  const data = summaryReport(await loadDB(), req.query);
+  res.attachment(`${report}-${new Date(data.from).toISOString().slice(0,10)}-${new Date(data.to).toISOString().slice(0,10)}.csv`);
+  res.type('text/csv').send(toCsv(REPORTS[report], reportRows(data, report)));
 });
 
+// Live totals for the admin panel: commits that post to the ledger, change a
+// payment or an item call summaryChanged(); SUMMARY_PUSH_MS later the numbers are
+// recomputed once for all of them and admin:summary:update is pushed if they moved
+// and someone with reports.read is connected
+const SUMMARY_PUSH_MS = Number(process.env.SUMMARY_PUSH_MS ?? 2000);
+let lastSummary, summaryTimer = null;
+async function pushSummary(){
+  const room = io.sockets.adapter.rooms.get('admins');
+  const sockets = [...(room || [])].map(id=>io.sockets.sockets.get(id)).filter(s=>hasPermission(s?.data.user?.role, 'reports.read'));
+  if (!sockets.length) { lastSummary = undefined; return; }
+  const { from, to, totals, pendingAging } = summaryReport(await loadDB());
+  const key = JSON.stringify({ totals, pendingAging });
+  if (key === lastSummary) return;
+  lastSummary = key;
+  sockets.forEach(s=>s.emit('admin:summary:update', { ts: Date.now(), from, to, totals, pendingAging }));
+}
+function summaryChanged(){
+  if (!(SUMMARY_PUSH_MS > 0)) return;
+  afterCommit(()=>{
+    if (summaryTimer) return;
+    summaryTimer = setTimeout(()=>{
+      summaryTimer = null;
+      pushSummary().catch(e=>console.error('[summary] push failed:', e));
+    }, SUMMARY_PUSH_MS);
+  });
+}
+
 // USERS
-app.post('/api/admin/users/create', auth, adminOnly, async (req,res)=>{
-  const { name, email, password, balance=0, role='user' } = req.body || {};
-  if (!name || !email || !password) return res.status(400).json({ error:'name, email, password required' });
-  const db = await loadDB();
-  if (db.users.find(u=>u.email.toLowerCase()===String(email).toLowerCase())) return res.status(409).json({ error:'Email exists' });
+const ROLE = str({ enum: ASSIGNABLE_ROLES });
+api.post('/api/admin/users/create', { summary:'Create a user or staff account', tags:['admin'],
+  body: obj({
+    name: required(str({ trim: true, minLength: 1, maxLength: 100 })), email: required(str({ trim: true, format: 'email' })), password: PASSWORD,
+    role: { ...ROLE, default: 'user' }
+  })
+}, auth, requirePerm('users.manage'), async (req,res)=>{
+  // Accounts start at 0 TON; funding one goes through /api/admin/users/balance (users.balance, approvals)
+  const { name, email, password, role } = req.body;
+  if (isStaff(role) && !hasPermission(req.user.role, 'users.roles')) return res.status(403).json({ error:'Missing permission users.roles' });
   const pass = await bcrypt.hash(password, 10);
-  const user = { id: nanoid(10), name, email, pass, role, balance, owned: [], gifts: 0, banned:false };
-  db.users.push(user);
-  await saveDB(db);
-  res.json({ ok:true, user: { id:user.id, name:user.name, email:user.email, role:user.role, balance:user.balance, banned:user.banned } });
-});
-app.post('/api/admin/users/balance', auth, adminOnly, async (req,res)=>{
-  const { userId, delta } = req.body || {};
-  if (!userId || typeof delta !== 'number') return res.status(400).json({ error:'userId and numeric delta required' });
-  await transact(async db=>{
+  send(res, await transact(async db=>{
+    if (db.users.find(u=>u.email.toLowerCase()===email.toLowerCase())) return fail(409, 'Email exists');
+    const user = { id: nanoid(10), name, email, pass, role, balance: 0, owned: [], gifts: 0, banned:false };
+    db.users.push(user);
+    req.audit({ target: { type:'user', id: user.id }, after: user });
+    return reply({ ok:true, user: { id:user.id, name:user.name, email:user.email, role:user.role, balance:user.balance, banned:user.banned } });
+  }));
+});
+// Deltas of APPROVAL_BALANCE_DELTA TON and more wait for a second admin, see APPROVALS.
+api.post('/api/admin/users/balance', { summary:'Credit (delta > 0) or debit a balance', tags:['admin'], idempotent: true,
+  body: obj({ userId: ID, delta: required(num()) })
+}, auth, requirePerm('users.balance'), async (req,res)=>{
+  const { userId, delta } = req.body;
+  if (Math.abs(delta) >= APPROVAL_BALANCE_DELTA){
+    return requestApproval(req, res, 'users.balance', { userId, delta }, { summary: `Balance ${delta>=0 ? 'credit' : 'debit'} of ${Math.abs(delta)} TON for ${userId}` });
+  }
+  const r = await adjustBalance(actionContext(req), { userId, delta });
+  res.status(r.status).json(r.body);
+});
+async function adjustBalance(ctx, { userId, delta }){
+  return transact(async db=>{
     const u = db.users.find(x=>x.id===userId);
-    if (!u) { res.status(404).json({ error:'User not found' }); return; }
-    u.balance = Math.max(0, (u.balance||0) + delta);
+    if (!u) return { status: 404, body: { error:'User not found' } };
+    const before = snap(u);
+    // Debits are capped at the current balance, as before
+    const applied = Math.max(delta, -(u.balance||0));
+    if (applied > 0) post(db, { kind:'adjustment', amount: applied, debit:'adjustments', credit: userAccount(u.id), actor: ctx.actorId });
+    if (applied < 0) post(db, { kind:'adjustment', amount: -applied, debit: userAccount(u.id), credit:'adjustments', actor: ctx.actorId });
     db.history.push({ userId: userId, t:`Admin balance ${delta>=0? 'credit':'debit'} ${Math.abs(delta)} TON`, ts: Date.now() });
-    await saveDB(db);
-    res.json({ ok:true, balance: u.balance });
+    ctx.audit({ target: { type:'user', id: u.id }, before, after: u, summary: { delta, applied } });
+    return { status: 200, body: { ok:true, balance: u.balance } };
   });
+}
+
+// Roles are part of the access token, so changing one signs the user out
+api.post('/api/admin/users/role', { summary:"Change a user's role", tags:['admin'],
+  body: obj({ userId: ID, role: required(ROLE) })
+}, auth, requirePerm('users.roles'), async (req,res)=>{
+  const { userId, role } = req.body;
+  if (userId===req.user.id) return res.status(400).json({ error:'You cannot change your own role' });
+  send(res, await transact(async db=>{
+    const u = db.users.find(x=>x.id===userId);
+    if (!u) return fail(404, 'User not found');
+    if (u.id===TREASURY_ID) return fail(400, 'The treasury account has a fixed role');
+    // Someone must always be left who can assign roles
+    const assigners = db.users.filter(x=>!x.banned && x.id!==u.id && hasPermission(x.role, 'users.roles'));
+    if (hasPermission(u.role, 'users.roles') && !hasPermission(role, 'users.roles') && !assigners.length) return fail(400, 'Cannot remove the last account that can assign roles');
+    const before = snap(u);
+    u.role = role;
+    const revoked = revokeUserSessions(db, u.id, 'role_changed');
+    endSessions(revoked, 'role_changed');
+    req.audit({ target: { type:'user', id: u.id }, before, after: u, summary: { revokedSessions: revoked.length } });
+    return reply({ ok:true, user: { id:u.id, name:u.name, email:u.email, role:u.role }, permissions: permissionsOf(role) });
+  }));
 });
-app.post('/api/admin/users/ban', auth, adminOnly, async (req,res)=>{
-  const { userId, banned } = req.body || {};
-  if (!userId || typeof banned !== 'boolean') return res.status(400).json({ error:'userId and banned boolean required' });
-  await transact(async db=>{
+api.get('/api/admin/roles', { summary:'Roles and the permissions they grant (staff only)', tags:['admin'] }, auth, async (req,res)=>{
+  if (!isStaff(req.user.role)) return res.status(403).json({ error:'Staff only' });
+  res.json({ roles: ROLES, permissions: PERMISSIONS, assignable: ASSIGNABLE_ROLES });
+});
+api.post('/api/admin/users/ban', { summary:'Ban or unban a user', tags:['admin'],
+  body: obj({ userId: ID, banned: required(bool()) })
+}, auth, requirePerm('users.manage'), async (req,res)=>{
+  const { userId, banned } = req.body;
+  send(res, await transact(async db=>{
     const u = db.users.find(x=>x.id===userId);
-    if (!u) { res.status(404).json({ error:'User not found' }); return; }
+    if (!u) return fail(404, 'User not found');
+    if (isStaff(u.role) && !hasPermission(req.user.role, 'users.roles')) return fail(403, 'Missing permission users.roles');
+    const before = snap(u);
     u.banned = banned;
-    await saveDB(db);
-    res.json({ ok:true, banned });
-  });
+    // A ban ends every session at once, live sockets included
+    const revoked = banned ? revokeUserSessions(db, u.id, 'banned') : [];
+    endSessions(revoked, 'banned');
+    if (banned && !before.banned) emitWebhook(db, 'user.banned', { userId: u.id, email: u.email, by: req.user.id, revokedSessions: revoked.length });
+    req.audit({ target: { type:'user', id: u.id }, before, after: u, summary: { revokedSessions: revoked.length } });
+    return reply({ ok:true, banned, revokedSessions: revoked.length });
+  }));
+});
+
+// Signs a user out everywhere without banning them
+api.post('/api/admin/users/sessions/revoke', { summary:'Sign a user out everywhere', tags:['admin'],
+  body: obj({ userId: ID })
+}, auth, requirePerm('users.manage'), async (req,res)=>{
+  const { userId } = req.body;
+  send(res, await transact(async db=>{
+    const u = db.users.find(x=>x.id===userId);
+    if (!u) return fail(404, 'User not found');
+    if (isStaff(u.role) && !hasPermission(req.user.role, 'users.roles')) return fail(403, 'Missing permission users.roles');
+    const revoked = revokeUserSessions(db, userId, 'admin_revoked');
+    endSessions(revoked, 'admin_revoked');
+    req.audit({ target: { type:'user', id: userId }, summary: { revokedSessions: revoked.map(s=>s.id) } });
+    return reply({ ok:true, revoked: revoked.length });
+  }));
+});
+
+// ROYALTIES (secondary sales)
+api.get('/api/admin/royalties', { summary:'Royalty settings', tags:['catalog'] }, auth, requirePerm('catalog.manage'), async (req,res)=>{
+  const db = await loadDB();
+  const collections = Object.fromEntries(db.collections.filter(c=>typeof c.royaltyPct==='number').map(c=>[c.name, c.royaltyPct]));
+  res.json({ defaultPct: ROYALTY_DEFAULT_PCT, treasuryId: TREASURY_ID, collections });
+});
+const PERCENT = num({ minimum: 0, maximum: 100 });
+api.post('/api/admin/royalties', { summary:'Set the royalty of a collection', tags:['catalog'],
+  body: obj({ collection: ID, percent: required(PERCENT) })
+}, auth, requirePerm('catalog.manage'), async (req,res)=>{
+  const { collection, percent } = req.body;
+  send(res, await transact(async db=>{
+    const existing = findCollection(db, collection);
+    const before = snap(existing);
+    const c = existing || ensureCollection(db, collection, req.user.id);
+    c.royaltyPct = percent;
+    req.audit({ target: { type:'collection', id: c.id }, before, after: c });
+    return reply({ ok:true, collection: c });
+  }));
+});
+
+// COLLECTIONS & DROPS
+const COLLECTION_FIELDS = {
+  name: str({ trim: true, minLength: 1, maxLength: 100 }), description: str({ maxLength: 2000 }), coverImg: str(),
+  maxSupply: int({ minimum: 1, nullable: true, description: 'null for unlimited' }),
+  royaltyPct: { ...PERCENT, nullable: true, description: 'null uses ROYALTY_DEFAULT_PCT' }, creatorId: str({ minLength: 1 })
+};
+api.post('/api/admin/collections/create', { summary:'Create a collection', tags:['catalog'],
+  body: obj({ ...COLLECTION_FIELDS, name: required(COLLECTION_FIELDS.name) })
+}, auth, requirePerm('catalog.manage'), async (req,res)=>{
+  const body = req.body;
+  send(res, await transact(async db=>{
+    if (findCollection(db, body.name)) return fail(409, 'Collection exists');
+    const c = createCollection(db, { ...body, creatorId: body.creatorId || req.user.id });
+    req.audit({ target: { type:'collection', id: c.id }, after: c });
+    return reply({ ok:true, collection: c });
+  }));
+});
+api.post('/api/admin/collections/update', { summary:'Update a collection', tags:['catalog'],
+  body: obj({ id: ID, ...COLLECTION_FIELDS })
+}, auth, requirePerm('catalog.manage'), async (req,res)=>{
+  const { id, ...body } = req.body;
+  send(res, await transact(async db=>{
+    const c = db.collections.find(x=>x.id===id);
+    if (!c) return fail(404, 'Collection not found');
+    if (body.name && body.name!==c.name && findCollection(db, body.name)) return fail(409, 'Collection exists');
+    if (typeof body.maxSupply==='number' && body.maxSupply < c.minted) return fail(400, `maxSupply cannot be below the ${c.minted} already minted`);
+    const before = snap(c);
+    const oldName = c.name;
+    Object.assign(c, body);
+    // Items carry the collection name for search and upgrade rules are keyed by it,
+    // so keep both in sync on rename
+    if (c.name!==oldName){
+      db.items.filter(it=>it.collectionId===c.id).forEach(it=>{ it.collection = c.name; });
+      if (db.upgradeRules[oldName]){
+        db.upgradeRules[c.name] = db.upgradeRules[oldName];
+        delete db.upgradeRules[oldName];
+      }
+    }
+    req.audit({ target: { type:'collection', id: c.id }, before, after: c });
+    return reply({ ok:true, collection: c });
+  }));
+});
+
+// Model: db.drops = [{ id, collectionId, items:[{ name, price, img?, rating? }], releaseAt,
+//   status:'scheduled'|'released'|'cancelled', createdBy, createdAt, releasedAt?, itemIds? }]
+// Scheduled drops reserve supply; at releaseAt their items are minted onto the market.
+const reservedSupply = (db, c)=> db.drops.filter(d=>d.collectionId===c.id && d.status==='scheduled').reduce((s,d)=>s+d.items.length, 0);
+
+function releaseDrop(db, d){
+  const c = db.collections.find(x=>x.id===d.collectionId);
+  d.status = 'released'; d.releasedAt = Date.now(); d.itemIds = [];
+  if (!c) return;
+  const count = Math.min(d.items.length, remainingSupply(c));
+  for (const x of d.items.slice(0, count)){
+    const item = mintItem(db, c, x);
+    d.itemIds.push(item.id);
+    emitMarket('created', item, { dropId: d.id });
+  }
+  if (count < d.items.length) d.skipped = d.items.length - count;
+  db.history.push({ userId: 'system', t:`Drop ${d.id} released ${count} items in ${c.name}`, ts: Date.now() });
+}
+
+const dropTimer = createDueTimer({
+  label: 'drops', transact,
+  nextAt: (db)=> Math.min(...db.drops.filter(d=>d.status==='scheduled').map(d=>d.releaseAt)),
+  settle: (db, now)=> db.drops.filter(d=>d.status==='scheduled' && d.releaseAt<=now).forEach(d=>releaseDrop(db, d))
+});
+
+api.get('/api/admin/drops', { summary:'List drops', tags:['catalog'] }, auth, requirePerm('catalog.manage'), async (req,res)=>{
+  const db = await loadDB();
+  res.json(db.drops.slice().sort((a,b)=>b.releaseAt-a.releaseAt));
+});
+const PRICE = num({ minimum: 0 });
+const RATING = num({ minimum: 0 });
+api.post('/api/admin/drops/create', { summary:'Schedule a drop of new items', tags:['catalog'],
+  body: obj({
+    collectionId: ID, releaseAt: required(num({ exclusiveMinimum: 0, description: 'ms timestamp' })),
+    items: required(arr(obj({ name: str({ trim: true }), price: required(PRICE), img: str(), rating: RATING }), { minItems: 1 }))
+  })
+}, auth, requirePerm('catalog.manage'), async (req,res)=>{
+  const { collectionId, releaseAt, items } = req.body;
+  send(res, await transact(async db=>{
+    const c = db.collections.find(x=>x.id===collectionId);
+    if (!c) return fail(404, 'Collection not found');
+    if (remainingSupply(c) - reservedSupply(db, c) < items.length) return fail(400, `Not enough supply left in ${c.name}`);
+    const d = {
+      id: nanoid(12), collectionId, releaseAt, status:'scheduled', createdBy: req.user.id, createdAt: Date.now(),
+      items: items.map(x=>({ name: x.name, price: x.price, img: x.img, rating: x.rating ?? 5 }))
+    };
+    db.drops.push(d);
+    req.audit({ target: { type:'drop', id: d.id }, after: d });
+    dropTimer.schedule(db);
+    return reply({ ok:true, drop: d });
+  }));
+});
+api.post('/api/admin/drops/cancel', { summary:'Cancel a scheduled drop', tags:['catalog'],
+  body: obj({ id: ID })
+}, auth, requirePerm('catalog.manage'), async (req,res)=>{
+  const { id } = req.body;
+  send(res, await transact(async db=>{
+    const d = db.drops.find(x=>x.id===id);
+    if (!d) return fail(404, 'Drop not found');
+    if (d.status!=='scheduled') return fail(400, 'Drop already '+d.status);
+    req.audit({ target: { type:'drop', id: d.id }, before: { status: d.status }, after: { status:'cancelled' } });
+    d.status = 'cancelled';
+    dropTimer.schedule(db);
+    return reply({ ok:true, drop: d });
+  }));
 });
 
 // ITEMS
-app.post('/api/admin/items/create', auth, adminOnly, async (req,res)=>{
-  const { name, price, img, collection='Default', rating=5 } = req.body || {};
-  if (!name || typeof price!=='number') return res.status(400).json({ error:'name and numeric price required' });
-  await transact(async db=>{
-    const id = 'nft_'+(1000 + db.items.length);
-    const item = { id, name, price, rating, img: img||'https://picsum.photos/seed/'+encodeURIComponent(name)+'/800', collection, stars:3, level:0, ownerId:null, createdAt: Date.now() };
-    db.items.push(item);
-    await saveDB(db);
-    io.emit('market:update', { itemId: id });
-    res.json({ ok:true, item });
-  });
+// Only these fields can be edited; ownership, listings and ids change through their own routes
+const ITEM_FIELDS = {
+  name: str({ trim: true, minLength: 1, maxLength: 200 }), price: PRICE, img: str(), rating: RATING,
+  stars: int({ minimum: 0 }), level: int({ minimum: 0 })
+};
+api.post('/api/admin/items/create', { summary:'Mint an item onto the market', tags:['catalog'],
+  body: obj({
+    name: required(ITEM_FIELDS.name), price: required(PRICE), img: str(),
+    collection: str({ trim: true, minLength: 1, default: 'Default' }), rating: { ...RATING, default: 5 }
+  })
+}, auth, requirePerm('catalog.manage'), async (req,res)=>{
+  const { name, price, img, collection, rating } = req.body;
+  send(res, await transact(async db=>{
+    const c = ensureCollection(db, collection, req.user.id);
+    if (remainingSupply(c) < 1) return fail(400, `Collection ${c.name} reached its max supply of ${c.maxSupply}`);
+    const item = mintItem(db, c, { name, price, img, rating });
+    req.audit({ target: { type:'item', id: item.id }, after: item });
+    emitMarket('created', item);
+    return reply({ ok:true, item });
+  }));
 });
-app.post('/api/admin/items/update', auth, adminOnly, async (req,res)=>{
-  const { id, ...fields } = req.body || {};
-  if (!id) return res.status(400).json({ error:'id required' });
-  await transact(async db=>{
+api.post('/api/admin/items/update', { summary:'Edit an item', tags:['catalog'],
+  body: obj({ id: ID, ...ITEM_FIELDS })
+}, auth, requirePerm('catalog.manage'), async (req,res)=>{
+  const { id, ...fields } = req.body;
+  send(res, await transact(async db=>{
     const it = db.items.find(x=>x.id===id);
-    if (!it) { res.status(404).json({ error:'Item not found' }); return; }
+    if (!it) return fail(404, 'Item not found');
+    const before = snap(it);
     Object.assign(it, fields);
-    await saveDB(db);
-    io.emit('market:update', { itemId: it.id });
-    res.json({ ok:true, item: it });
-  });
+    req.audit({ target: { type:'item', id: it.id }, before, after: it });
+    emitMarket('updated', it);
+    return reply({ ok:true, item: it });
+  }));
 });
-app.post('/api/admin/items/delete', auth, adminOnly, async (req,res)=>{
-  const { id } = req.body || {};
-  await transact(async db=>{
+api.post('/api/admin/items/delete', { summary:'Delete an item', tags:['catalog'],
+  body: obj({ id: ID })
+}, auth, requirePerm('catalog.manage'), async (req,res)=>{
+  const { id } = req.body;
+  send(res, await transact(async db=>{
     const idx = db.items.findIndex(x=>x.id===id);
-    if (idx===-1) { res.status(404).json({ error:'Item not found' }); return; }
-    db.items.splice(idx,1);
-    await saveDB(db);
-    io.emit('market:update', { itemId: id });
-    res.json({ ok:true });
-  });
+    if (idx===-1) return fail(404, 'Item not found');
+    if (liveAuction(db, id)) return fail(400, 'Item is on auction; cancel the auction first');
+    if (db.items[idx].giftId) return fail(400, 'Item is held for a pending gift');
+    const snapshot = snapshotOnCommit(db, { reason:'items.delete', actorId: req.user.id });
+    closeOffers(db, id, 'item deleted');
+    const [removed] = db.items.splice(idx,1);
+    req.audit({ target: { type:'item', id: removed.id }, before: removed, summary: { snapshotId: snapshot.id } });
+    emitMarketRemoved('deleted', removed);
+    return reply({ ok:true, snapshotId: snapshot.id });
+  }));
 });
-app.post('/api/admin/items/clear', auth, adminOnly, async (req,res)=>{
-  await transact(async db=>{
+api.post('/api/admin/items/clear', { summary:'Remove every item', tags:['catalog'] }, auth, requirePerm('catalog.manage'), async (req,res)=>{
+  send(res, await transact(async db=>{
+    const snapshot = snapshotOnCommit(db, { reason:'items.clear', actorId: req.user.id });
+    // Refund held bids before the items they were placed on disappear
+    const live = db.auctions.filter(a=>a.status==='live');
+    live.forEach(a=>cancelAuction(db, a));
+    scheduleAuctions(db);
+    // and hand gifted items back to their senders so no pending gift is left without its item
+    const gifts = db.gifts.filter(g=>g.status==='pending');
+    gifts.forEach(g=>returnGift(db, g, 'cancelled'));
+    scheduleGifts(db);
+    db.items.forEach(it=>closeOffers(db, it.id, 'items cleared'));
+    scheduleOffers(db);
+    req.audit({ target: { type:'items', id: null }, summary: { removed: db.items.length, itemIds: db.items.map(it=>it.id), cancelledAuctions: live.map(a=>a.id), cancelledGifts: gifts.map(g=>g.id), snapshotId: snapshot.id } });
     db.items = [];
-    await saveDB(db);
-    io.emit('market:update', { cleared: true });
-    res.json({ ok:true, cleared:true });
-  });
+    broadcast('market', 'market:update', { event:'cleared', cleared: true, refetch: true });
+    summaryChanged();
+    return reply({ ok:true, cleared:true, snapshotId: snapshot.id });
+  }));
 });
-app.post('/api/admin/items/bulkImport', auth, adminOnly, async (req,res)=>{
-  const { items } = req.body || {};
-  if (!Array.isArray(items)) return res.status(400).json({ error:'items array required' });
-  await transact(async db=>{
+api.post('/api/admin/items/bulkImport', { summary:'Mint many items at once', tags:['catalog'],
+  body: obj({
+    items: required(arr(obj({ ...ITEM_FIELDS, name: str({ trim: true }), price: required(PRICE), collection: str({ trim: true, minLength: 1 }), ownerId: str({ minLength: 1 }) })))
+  })
+}, auth, requirePerm('catalog.manage'), async (req,res)=>{
+  const { items } = req.body;
+  send(res, await transact(async db=>{
+    // Check every collection's supply before minting anything
+    const wanted = {};
+    items.forEach(x=>{ const n = x.collection||'Default'; wanted[n] = (wanted[n]||0)+1; });
+    const over = Object.entries(wanted).filter(([n,k])=>{ const c = findCollection(db, n); return c && remainingSupply(c) < k; });
+    if (over.length) return fail(400, 'Max supply exceeded for '+over.map(([n])=>n).join(', '));
+    const unknown = [...new Set(items.map(x=>x.ownerId).filter(id=>id && !db.users.some(u=>u.id===id)))];
+    if (unknown.length) return fail(404, 'Owner not found: '+unknown.join(', '));
+    const added = [];
     items.forEach((x,idx)=>{
-      const id = 'nft_'+(1000 + db.items.length);
-      db.items.push({ id, name:x.name||('Item '+id), price:Number(x.price)||0, rating:Number(x.rating)||5, img:x.img||'https://picsum.photos/seed/i'+idx+'/800', collection:x.collection||'Default', stars: x.stars||3, level: x.level||0, ownerId: x.ownerId||null, createdAt: Date.now() });
+      const c = ensureCollection(db, x.collection||'Default', req.user.id);
+      const item = mintItem(db, c, { name:x.name, price:x.price, rating:x.rating ?? 5, img:x.img||'https://picsum.photos/seed/i'+idx+'/800', stars: x.stars ?? 3, level: x.level ?? 0, ownerId: x.ownerId||null });
+      if (item.ownerId) db.users.find(u=>u.id===item.ownerId).owned.push(item.id);
+      added.push(item);
     });
-    await saveDB(db);
-    io.emit('market:update', { bulk:true });
-    res.json({ ok:true, count: items.length });
-  });
+    req.audit({ target: { type:'items', id: null }, summary: { added: added.length, itemIds: added.map(it=>it.id) } });
+    // Small imports are sent inline; large ones ask clients to refetch
+    const inline = added.length <= 200;
+    broadcast('market', 'market:update', { event:'bulk', bulk:true, count: added.length, items: inline ? added : undefined, refetch: !inline });
+    summaryChanged();
+    return reply({ ok:true, count: items.length });
+  }));
 });
 
 // TRANSFER & BURN
-app.post('/api/admin/transfer', auth, adminOnly, async (req,res)=>{
-  const { itemId, toUserId } = req.body || {};
-  if (!itemId || !toUserId) return res.status(400).json({ error:'itemId and toUserId required' });
-  await transact(async db=>{
+api.post('/api/admin/transfer', { summary:'Move an item to another user', tags:['admin'],
+  body: obj({ itemId: ID, toUserId: ID })
+}, auth, requirePerm('items.transfer'), async (req,res)=>{
+  const { itemId, toUserId } = req.body;
+  send(res, await transact(async db=>{
     const it = db.items.find(x=>x.id===itemId);
     const to = db.users.find(u=>u.id===toUserId);
-    if (!it) { res.status(404).json({ error:'Item not found' }); return; }
-    if (!to) { res.status(404).json({ error:'Target user not found' }); return; }
+    if (!it) return fail(404, 'Item not found');
+    if (!to) return fail(404, 'Target user not found');
+    if (liveAuction(db, it.id)) return fail(400, 'Item is on auction; cancel the auction first');
+    if (it.giftId) return fail(400, 'Item is held for a pending gift');
+    const before = snap(it);
     // Remove from previous owner if any
     if (it.ownerId){
       const prev = db.users.find(u=>u.id===it.ownerId);
-      if (prev) prev.owned = (prev.owned||[]).filter(id=>id!==it.id);
+      if (prev) prev.owned = prev.owned.filter(id=>id!==it.id);
     }
+    delete it.listing;
+    closeOffers(db, it.id, 'transferred by admin');
     it.ownerId = to.id;
-    to.owned = to.owned || [];
     if (!to.owned.includes(it.id)) to.owned.push(it.id);
     db.history.push({ userId: to.id, t:`Admin transferred ${it.id} to ${to.id}`, ts: Date.now() });
-    await saveDB(db);
-    io.emit('market:update', { itemId: it.id });
-    res.json({ ok:true });
-  });
+    req.audit({ target: { type:'item', id: it.id }, before, after: it });
+    emitMarket('transferred', it);
+    return reply({ ok:true });
+  }));
 });
-app.post('/api/admin/burn', auth, adminOnly, async (req,res)=>{
-  const { itemId } = req.body || {};
-  if (!itemId) return res.status(400).json({ error:'itemId required' });
-  await transact(async db=>{
+api.post('/api/admin/burn', { summary:'Destroy an item', tags:['admin'],
+  body: obj({ itemId: ID })
+}, auth, requirePerm('items.transfer'), async (req,res)=>{
+  const { itemId } = req.body;
+  send(res, await transact(async db=>{
     const it = db.items.find(x=>x.id===itemId);
-    if (!it) { res.status(404).json({ error:'Item not found' }); return; }
+    if (!it) return fail(404, 'Item not found');
+    if (liveAuction(db, it.id)) return fail(400, 'Item is on auction; cancel the auction first');
+    if (it.giftId) return fail(400, 'Item is held for a pending gift');
+    const snapshot = snapshotOnCommit(db, { reason:'burn', actorId: req.user.id });
     // Remove from owner's list
     if (it.ownerId){
       const owner = db.users.find(u=>u.id===it.ownerId);
-      if (owner) owner.owned = (owner.owned||[]).filter(id=>id!==it.id);
+      if (owner) owner.owned = owner.owned.filter(id=>id!==it.id);
     }
     // Remove item entirely
+    closeOffers(db, it.id, 'item burned');
     db.items = db.items.filter(x=>x.id!==it.id);
     db.history.push({ userId: it.ownerId || 'system', t:`Admin burned ${it.id}`, ts: Date.now() });
-    await saveDB(db);
-    io.emit('market:update', { burned: it.id });
-    res.json({ ok:true, burned: it.id });
-  });
+    req.audit({ target: { type:'item', id: it.id }, before: it, summary: { snapshotId: snapshot.id } });
+    emitMarketRemoved('burned', it);
+    return reply({ ok:true, burned: it.id, snapshotId: snapshot.id });
+  }));
 });
 
 // HISTORY & DB
-app.get('/api/admin/history', auth, adminOnly, async (req,res)=>{
-  const { userId, limit=200 } = req.query;
-  const db = await loadDB();
-  let hist = db.history;
-  if (userId) hist = hist.filter(h=>h.userId===userId);
-  hist = hist.sort((a,b)=>b.ts-a.ts).slice(0, Math.min(1000, Number(limit)||200));
+api.get('/api/admin/history', { summary:'History entries, newest first', tags:['reports'],
+  query: obj({ userId: str(), limit: LIMIT })
+}, auth, requirePerm('reports.read'), async (req,res)=>{
+  const { userId, limit } = req.query;
+  let hist = await select('history', userId ? { userId } : {});
+  hist = hist.sort((a,b)=>b.ts-a.ts).slice(0, Math.min(1000, limit||200));
   res.json(hist);
 });
-app.get('/api/admin/db/export', auth, adminOnly, async (req,res)=>{
+api.get('/api/admin/ledger', { summary:'Ledger rows, newest first', tags:['reports'],
+  query: obj({ account: str(), kind: str(), ref: str(), limit: LIMIT })
+}, auth, requirePerm('reports.read'), async (req,res)=>{
+  const { account, kind, ref, limit } = req.query;
+  let rows = await select('ledger', Object.fromEntries(Object.entries({ kind, ref }).filter(([,v])=>v)));
+  if (account) rows = rows.filter(e=>e.debit===account || e.credit===account);
+  rows = rows.sort((a,b)=>b.ts-a.ts).slice(0, Math.min(1000, limit||200));
+  res.json(rows);
+});
+// Proves every user's balance equals the sum of their ledger rows
+api.get('/api/admin/ledger/reconcile', { summary:'Check balances against the ledger', tags:['reports'] }, auth, requirePerm('reports.read'), async (req,res)=>{
+  const db = await loadDB();
+  res.json(reconcile(db));
+});
+api.get('/api/admin/db/export', { summary:'Download the whole database', tags:['admin'] }, auth, requirePerm('db.export'), async (req,res)=>{
   const db = await loadDB();
   res.json(db);
 });
-app.post('/api/admin/db/import', auth, adminOnly, async (req,res)=>{
-  const { db } = req.body || {};
-  if (!db || !db.users || !db.items || !db.history) return res.status(400).json({ error:'db with users, items, history required' });
-  await saveDB(db);
-  io.emit('market:update', { imported:true });
-  res.json({ ok:true });
+// Import and restore check the data and migrate it to the current schema first
+// (lib/dbimport.js); dryRun stops there and returns what would change. Both need a
+// second admin's approval unless APPROVAL_DB_IMPORT=false, see APPROVALS, and
+// snapshot the current database before replacing it.
+const tableCounts = (x)=> Object.fromEntries(Object.entries(x).filter(([,v])=>Array.isArray(v)).map(([k,v])=>[k, v.length]));
+const TABLE = arr(obj());
+const DRY_RUN = bool({ default: false, description: 'Only check the data and return a diff summary' });
+const importErrors = (errors)=> ({ status: 400, body: { error: errors.map(e=>`${e.field} ${e.message}`).join('; '), fields: errors.map(e=>({ in:'body', ...e })) } });
+// Approvals aren't part of an import, so the current ones are kept
+function importPreview(current, { db, migration }){
+  const { ok, mismatches } = reconcile(db);
+  return { ok:true, dryRun:true, schemaVersion: migration, ledger: { reconciles: ok, mismatches: mismatches.length }, diff: diffDatabases(current, { ...db, approvals: current.approvals }) };
+}
+
+api.post('/api/admin/db/import', { summary:'Replace the database', tags:['admin'],
+  body: obj({ db: required(obj({ users: required(TABLE), items: required(TABLE), history: required(TABLE) }, { additionalProperties: true })), dryRun: DRY_RUN })
+}, auth, requirePerm('db.import'), async (req,res)=>{
+  const { db, dryRun } = req.body;
+  const prepared = prepareImport(db);
+  if (prepared.errors.length) { const r = importErrors(prepared.errors); return res.status(r.status).json(r.body); }
+  if (dryRun) return res.json(importPreview(await loadDB(), prepared));
+  if (APPROVAL_DB_IMPORT){
+    // The upload waits in the snapshot directory; the approval only points at it
+    const upload = await snapshots.take(db, { reason:'db.import.upload', actorId: req.user.id });
+    return requestApproval(req, res, 'db.import', { snapshotId: upload.id }, { summary: `Replace the database (${Object.entries(tableCounts(db)).map(([k,n])=>`${k}: ${n}`).join(', ')})` });
+  }
+  const r = await importDatabase(actionContext(req), { db });
+  res.status(r.status).json(r.body);
+});
+async function importDatabase(ctx, { db, snapshotId }){
+  if (snapshotId){
+    const upload = await snapshots.read(snapshotId);
+    if (!upload) return { status: 404, body: { error:'Uploaded database no longer available' } };
+    db = upload.db;
+  }
+  return replaceDatabase(ctx, db, 'db.import', snapshotId ? { uploadSnapshotId: snapshotId } : {});
+}
+
+async function replaceDatabase(ctx, input, reason, extra = {}){
+  const { db, errors } = prepareImport(input);
+  if (errors.length) return importErrors(errors);
+  // Same defaults as startup, so an older database still gets royalties and rates
+  await ensureTreasury(db);
+  openRates(db, TON_RATES);
+  // The audit log lives outside the database, so an import can't rewrite it; record the swap.
+  let snapshot, before;
+  await replaceDB(async current=>{
+    snapshot = snapshots.capture(current, { reason, actorId: ctx.actorId });
+    before = tableCounts(current);
+    db.approvals = current.approvals;
+    return db;
+  });
+  await snapshot.save();
+  rememberRevoked(db.sessions);
+  const live = new Set(db.sessions.filter(s=>!s.revokedAt).map(s=>s.id));
+  dropSockets(user=>!live.has(user.sid), 'db_replaced');
+  ctx.audit({ target: { type:'db', id: null }, summary: { before, after: tableCounts(db), snapshotId: snapshot.meta.id, ...extra } });
+  scheduleAuctions(db);
+  scheduleGifts(db);
+  scheduleOffers(db);
+  dropTimer.schedule(db);
+  webhooks.kick();
+  broadcast('market', 'market:update', { event:'imported', imported:true, refetch: true });
+  summaryChanged();
+  return { status: 200, body: { ok:true, snapshotId: snapshot.meta.id, schemaVersion: db.schemaVersion } };
+}
+
+api.get('/api/admin/db/snapshots', { summary:'Database snapshots, newest first', tags:['admin'] }, auth, requirePerm('db.export'), async (req,res)=>{
+  res.json(await snapshots.list());
+});
+api.get('/api/admin/db/snapshots/:id', { summary:'Download a snapshot', tags:['admin'] }, auth, requirePerm('db.export'), async (req,res)=>{
+  const snap = await snapshots.read(req.params.id);
+  if (!snap) return res.status(404).json({ error:'Snapshot not found' });
+  res.attachment(`snapshot-${snap.meta.id}.json`).json(snap.db);
+});
+api.post('/api/admin/db/restore', { summary:'Replace the database with a snapshot', tags:['admin'],
+  body: obj({ id: ID, dryRun: DRY_RUN })
+}, auth, requirePerm('db.import'), async (req,res)=>{
+  const { id, dryRun } = req.body;
+  const snap = await snapshots.read(id);
+  if (!snap) return res.status(404).json({ error:'Snapshot not found' });
+  if (dryRun){
+    const prepared = prepareImport(snap.db);
+    if (prepared.errors.length) { const r = importErrors(prepared.errors); return res.status(r.status).json(r.body); }
+    return res.json({ ...importPreview(await loadDB(), prepared), snapshot: snap.meta });
+  }
+  if (APPROVAL_DB_IMPORT) return requestApproval(req, res, 'db.restore', { id }, { key: 'db.restore:'+id, summary: `Restore snapshot ${id} (${snap.meta.reason}, ${new Date(snap.meta.ts).toISOString()})` });
+  const r = await restoreSnapshot(actionContext(req), { id });
+  res.status(r.status).json(r.body);
+});
+async function restoreSnapshot(ctx, { id }){
+  const snap = await snapshots.read(id);
+  if (!snap) return { status: 404, body: { error:'Snapshot not found' } };
+  return replaceDatabase(ctx, snap.db, 'db.restore', { restoredSnapshotId: id });
+}
+
+// ----------------- APPROVALS -----------------
+// Model: db.approvals = [{ id, action, params, key?, summary, requestedBy, requestedAt, expiresAt,
+//   status:'pending'|'approved'|'failed'|'rejected'|'cancelled'|'expired', reviewedBy?, reviewedAt?, note?, result? }]
+// Sensitive actions are parked here instead of running. A different admin who holds
+// approvals.review and the action's own permission then runs them with the original
+// parameters; the requester stays the actor and the reviewer is recorded as approvedBy.
+const APPROVAL_BALANCE_DELTA = Number(process.env.APPROVAL_BALANCE_DELTA ?? 100);
+const APPROVAL_WITHDRAW_TON = Number(process.env.APPROVAL_WITHDRAW_TON ?? 100);
+const APPROVAL_DB_IMPORT = process.env.APPROVAL_DB_IMPORT !== 'false';
+const APPROVAL_TTL_MS = Number(process.env.APPROVAL_TTL_HOURS ?? 24) * 3600000;
+
+const SENSITIVE_ACTIONS = {
+  'users.balance':    { perm:'users.balance', run: adjustBalance },
+  'payments.approve': { perm:'payments.approve', run: approvePayment },
+  'db.import':        { perm:'db.import', run: importDatabase },
+  'db.restore':       { perm:'db.import', run: restoreSnapshot }
+};
+
+const actionContext = (req)=> ({ actorId: req.user.id, approvedBy: null, audit: req.audit });
+
+async function requestApproval(req, res, action, params, { key = null, summary }){
+  send(res, await transact(async db=>{
+    const now = Date.now();
+    if (key && db.approvals.some(a=>a.key===key && a.status==='pending' && a.expiresAt > now)) return fail(409, 'Already waiting for approval');
+    const a = { id: nanoid(12), action, params, key, summary, requestedBy: req.user.id, requestedAt: now, expiresAt: now + APPROVAL_TTL_MS, status:'pending' };
+    db.approvals.push(a);
+    req.audit({ action:'approvals.request', target: { type:'approval', id: a.id }, summary: { action, summary } });
+    broadcast('admins', 'admin:approvals:update', { id: a.id, action, status: a.status });
+    return reply({ ok:true, pending:true, approval: a }, 202);
+  }));
+}
+
+api.get('/api/admin/approvals', { summary:'Approval requests, newest first', tags:['approvals'],
+  query: obj({ status: str({ enum: ['pending', 'approved', 'failed', 'rejected', 'cancelled', 'expired'] }) })
+}, auth, requirePerm('approvals.review'), async (req,res)=>{
+  const { status } = req.query;
+  const db = await loadDB();
+  const list = db.approvals.filter(a=>!status || a.status===status).sort((a,b)=>b.requestedAt-a.requestedAt).slice(0,200);
+  res.json(list);
+});
+
+api.post('/api/admin/approvals/approve', { summary:"Approve and run another admin's request", tags:['approvals'], idempotent: true,
+  body: obj({ id: ID })
+}, auth, requirePerm('approvals.review'), async (req,res)=>{
+  const { id } = req.body;
+  const claim = await transact(async db=>{
+    const a = db.approvals.find(x=>x.id===id);
+    if (!a) return fail(404, 'Approval not found');
+    if (a.status==='pending' && a.expiresAt <= Date.now()) a.status = 'expired';
+    if (a.status!=='pending') return fail(400, 'Approval is '+a.status);
+    if (a.requestedBy===req.user.id) return fail(403, 'A different admin must approve this');
+    if (!hasPermission(req.user.role, SENSITIVE_ACTIONS[a.action].perm)) return fail(403, `Missing permission ${SENSITIVE_ACTIONS[a.action].perm}`);
+    a.status = 'approved'; a.reviewedBy = req.user.id; a.reviewedAt = Date.now();
+    return { claimed: structuredClone(a) };
+  });
+  if (!claim.claimed) return send(res, claim);
+  const { claimed } = claim;
+  const ctx = {
+    actorId: claimed.requestedBy, approvedBy: req.user.id,
+    audit: (r)=> req.audit({ ...r, action: claimed.action, summary: { ...r.summary, approvalId: claimed.id, requestedBy: claimed.requestedBy } })
+  };
+  const r = await SENSITIVE_ACTIONS[claimed.action].run(ctx, claimed.params);
+  const a = await transact(async db=>{
+    const x = db.approvals.find(y=>y.id===id);
+    x.result = { status: r.status, ...(r.status >= 400 ? { error: r.body.error } : {}) };
+    if (r.status >= 400) x.status = 'failed';
+    return x;
+  });
+  broadcast('admins', 'admin:approvals:update', { id, action: a.action, status: a.status });
+  res.status(r.status).json({ ...r.body, approval: a });
+});
+
+// The requester may withdraw their own request; other reviewers reject it
+api.post('/api/admin/approvals/reject', { summary:'Reject a request, or withdraw your own', tags:['approvals'], idempotent: true,
+  body: obj({ id: ID, note: str({ maxLength: 500, default: '' }) })
+}, auth, async (req,res)=>{
+  const { id, note } = req.body;
+  send(res, await transact(async db=>{
+    const a = db.approvals.find(x=>x.id===id);
+    if (!a) return fail(404, 'Approval not found');
+    if (a.status!=='pending') return fail(400, 'Approval is '+a.status);
+    const own = a.requestedBy===req.user.id;
+    if (!own && !hasPermission(req.user.role, 'approvals.review')) return fail(403, 'Missing permission approvals.review');
+    a.status = own ? 'cancelled' : 'rejected'; a.reviewedBy = req.user.id; a.reviewedAt = Date.now(); a.note = note;
+    req.audit({ target: { type:'approval', id: a.id }, summary: { action: a.action, status: a.status, note: a.note } });
+    broadcast('admins', 'admin:approvals:update', { id: a.id, action: a.action, status: a.status });
+    return reply({ ok:true, approval: a });
+  }));
+});
+
+// ----------------- WEBHOOKS -----------------
+// Endpoints registered here receive signed POSTs for the events they subscribe to
+// (see lib/webhooks.js for the payload and signature). The secret is only shown
+// when a webhook is created or its secret rotated. Deliveries that fail are retried
+// with exponential backoff; any delivery can be sent again by hand.
+const webhookView = ({ secret, ...w })=> ({ ...w, secretHint: '...'+secret.slice(-4) });
+const deliveryView = ({ payload, ...d })=> d;
+const WEBHOOK_FIELDS = {
+  url: str({ trim: true, maxLength: 2000, pattern: '^https?://\\S+$', description: 'http(s) URL that receives the POSTs' }),
+  events: arr(str({ enum: WEBHOOK_EVENTS }), { minItems: 1 }),
+  description: str({ maxLength: 200 }),
+  active: bool()
+};
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+api.get('/api/admin/webhooks', { summary:'Registered webhooks and the events they can subscribe to', tags:['webhooks'] }, auth, requirePerm('webhooks.manage'), async (req,res)=>{
+  const db = await loadDB();
+  const stats = (id, status)=> db.webhookDeliveries.filter(d=>d.webhookId===id && d.status===status).length;
+  const list = db.webhooks.map(w=>({ ...webhookView(w), pending: stats(w.id, 'pending'), failed: stats(w.id, 'failed') }));
+  res.json({ events: WEBHOOK_EVENTS, webhooks: list });
+});
+api.post('/api/admin/webhooks/create', { summary:'Register a webhook (the response carries its secret)', tags:['webhooks'],
+  body: obj({ ...WEBHOOK_FIELDS, url: required(WEBHOOK_FIELDS.url), events: required(WEBHOOK_FIELDS.events) })
+}, auth, requirePerm('webhooks.manage'), async (req,res)=>{
+  const { url, events, description, active } = req.body;
+  send(res, await transact(async db=>{
+    const w = { id: 'wh_'+nanoid(10), url, events: [...new Set(events)], secret: newSecret(), description: description || '', active: active ?? true, createdAt: Date.now(), createdBy: req.user.id };
+    db.webhooks.push(w);
+    req.audit({ target: { type:'webhook', id: w.id }, after: w });
+    return reply({ ok:true, webhook: { ...webhookView(w), secret: w.secret } });
+  }));
+});
+api.post('/api/admin/webhooks/update', { summary:'Change a webhook URL, events or status', tags:['webhooks'],
+  body: obj({ id: ID, ...WEBHOOK_FIELDS })
+}, auth, requirePerm('webhooks.manage'), async (req,res)=>{
+  const { id, events, ...body } = req.body;
+  send(res, await transact(async db=>{
+    const w = db.webhooks.find(x=>x.id===id);
+    if (!w) return fail(404, 'Webhook not found');
+    const before = snap(w);
+    Object.assign(w, body, events ? { events: [...new Set(events)] } : {});
+    req.audit({ target: { type:'webhook', id: w.id }, before, after: w });
+    return reply({ ok:true, webhook: webhookView(w) });
+  }));
+});
+api.post('/api/admin/webhooks/rotate-secret', { summary:'Replace a webhook secret (the response carries the new one)', tags:['webhooks'],
+  body: obj({ id: ID })
+}, auth, requirePerm('webhooks.manage'), async (req,res)=>{
+  const { id } = req.body;
+  send(res, await transact(async db=>{
+    const w = db.webhooks.find(x=>x.id===id);
+    if (!w) return fail(404, 'Webhook not found');
+    const before = snap(w);
+    w.secret = newSecret();
+    req.audit({ target: { type:'webhook', id: w.id }, before, after: w });
+    return reply({ ok:true, webhook: { ...webhookView(w), secret: w.secret } });
+  }));
+});
+// Pending deliveries to a deleted webhook fail; the log keeps them
+api.post('/api/admin/webhooks/delete', { summary:'Remove a webhook', tags:['webhooks'],
+  body: obj({ id: ID })
+}, auth, requirePerm('webhooks.manage'), async (req,res)=>{
+  const { id } = req.body;
+  send(res, await transact(async db=>{
+    const w = db.webhooks.find(x=>x.id===id);
+    if (!w) return fail(404, 'Webhook not found');
+    db.webhooks = db.webhooks.filter(x=>x.id!==id);
+    req.audit({ target: { type:'webhook', id }, before: w });
+    afterCommit(webhooks.kick);
+    return reply({ ok:true });
+  }));
+});
+// Sends a webhook.test event to one webhook, even a disabled one
+api.post('/api/admin/webhooks/test', { summary:'Send a test event to a webhook', tags:['webhooks'],
+  body: obj({ id: ID })
+}, auth, requirePerm('webhooks.manage'), async (req,res)=>{
+  const { id } = req.body;
+  send(res, await transact(async db=>{
+    if (!db.webhooks.some(x=>x.id===id)) return fail(404, 'Webhook not found');
+    const event = webhooks.enqueue(db, TEST_EVENT, { webhookId: id, requestedBy: req.user.id }, { webhookId: id });
+    afterCommit(webhooks.kick);
+    return reply({ ok:true, event, delivery: deliveryView(db.webhookDeliveries.findLast(d=>d.eventId===event.id)) });
+  }));
+});
+
+api.get('/api/admin/webhooks/deliveries', { summary:'Delivery log, newest first', tags:['webhooks'],
+  query: obj({ webhookId: str(), status: str({ enum: DELIVERY_STATUSES }), type: str(), eventId: str(), limit: LIMIT })
+}, auth, requirePerm('webhooks.manage'), async (req,res)=>{
+  const { webhookId, status, type, eventId, limit } = req.query;
+  const list = (await select('webhookDeliveries', webhookId ? { webhookId } : {}))
+    .filter(d=>(!status || d.status===status) && (!type || d.type===type) && (!eventId || d.eventId===eventId))
+    .sort((a,b)=>b.createdAt-a.createdAt).slice(0, Math.min(limit || 100, 500));
+  res.json(list.map(deliveryView));
+});
+api.get('/api/admin/webhooks/deliveries/:id', { summary:'One delivery with its payload and attempts', tags:['webhooks'] }, auth, requirePerm('webhooks.manage'), async (req,res)=>{
+  const [d] = await select('webhookDeliveries', { id: req.params.id });
+  if (!d) return res.status(404).json({ error:'Delivery not found' });
+  res.json(d);
+});
+// Queues the same event (same id and payload) again as a new delivery
+api.post('/api/admin/webhooks/deliveries/redeliver', { summary:'Send a delivery again', tags:['webhooks'],
+  body: obj({ id: ID })
+}, auth, requirePerm('webhooks.manage'), async (req,res)=>{
+  const { id } = req.body;
+  send(res, await transact(async db=>{
+    const d = db.webhookDeliveries.find(x=>x.id===id);
+    if (!d) return fail(404, 'Delivery not found');
+    const w = db.webhooks.find(x=>x.id===d.webhookId);
+    if (!w) return fail(409, 'Webhook was deleted');
+    if (!w.active) return fail(409, 'Webhook is disabled');
+    const copy = webhooks.redeliver(db, d);
+    req.audit({ target: { type:'webhookDelivery', id: copy.id }, summary: { redeliveryOf: d.id, eventId: d.eventId, webhookId: d.webhookId } });
+    afterCommit(webhooks.kick);
+    return reply({ ok:true, delivery: deliveryView(copy) });
+  }));
+});
+
+// ----------------- DOCS -----------------
+// OpenAPI document built from the route schemas above
+const { version } = await fs.readJson(path.join(__dirname, 'package.json'));
+app.get('/api/docs', (req,res)=>{
+  res.json(api.document({ title: 'GiftNFT API', version }));
+});
+
+// Malformed JSON bodies get the same 400 shape as schema errors
+app.use((err, req, res, next)=>{
+  if (err.type !== 'entity.parse.failed') return next(err);
+  validationError(res, [{ in:'body', field:'(root)', message:'is not valid JSON' }]);
+});
+// Anything else that failed (e.g. a transaction that could not be saved) is a 500.
+// Responses are only sent after their transaction commits, so nothing was changed.
+app.use((err, req, res, next)=>{
+  console.error(`[server] ${req.method} ${req.originalUrl} failed:`, err);
+  if (res.headersSent) return next(err);
+  res.status(500).json({ error:'Internal error' });
 });
 
 // --------------- START ---------------
+await auctionTimer.run();
+await giftTimer.run();
+await offerTimer.run();
+await dropTimer.run();
+webhooks.kick();
+startPaymentPolling();
+startRateRefresh();
 server.listen(PORT, ()=>{
   console.log('GiftNFT server running on http://localhost:'+PORT);
 });
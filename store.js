@@ -1,26 +1,73 @@
-import fs from 'fs-extra';
-const DB_PATH = './data/db.json';
+import { AsyncLocalStorage } from 'async_hooks';
+import jsonStore from './lib/store/json.js';
+import sqliteStore from './lib/store/sqlite.js';
 
-const defaultDB = {
-  users: [],
-  items: [],
-  history: []
-};
+// Storage backend, picked with STORE_DRIVER in .env (json | sqlite).
+// Every adapter implements: open(), load(), transaction(mutator),
+// replace(db) and select(table, where).
+const drivers = { json: jsonStore, sqlite: sqliteStore };
+const driver = (process.env.STORE_DRIVER || 'json').toLowerCase();
+export const store = drivers[driver];
+if (!store) throw new Error(`[store] Unknown STORE_DRIVER "${driver}" (expected ${Object.keys(drivers).join(' or ')})`);
 
-export async function loadDB(){
-  await fs.ensureFile(DB_PATH);
-  const raw = await fs.readFile(DB_PATH, 'utf-8');
-  if (!raw.trim()) { await fs.writeFile(DB_PATH, JSON.stringify(defaultDB, null, 2)); return structuredClone(defaultDB); }
-  try { return JSON.parse(raw); } catch { return structuredClone(defaultDB); }
+// Transactions run strictly one at a time: each waits for the previous one to
+// load, mutate and save before it reads the database itself. If the mutator
+// throws nothing is written. Never call saveDB(), replaceDB() or transact()
+// from inside a mutator; the outer transaction already saves. Mutators return
+// their result (e.g. the response to send) instead of acting on it: anything
+// that tells the outside world about a change goes through afterCommit().
+let queue = Promise.resolve();
+function enqueue(job){
+  const run = queue.then(job);
+  queue = run.catch(()=>{});
+  return run;
 }
 
-export async function saveDB(db){
-  await fs.writeFile(DB_PATH, JSON.stringify(db, null, 2));
+export function loadDB(){
+  return store.load();
 }
 
-export async function transact(mutator){
-  const db = await loadDB();
-  const result = await mutator(db);
-  await saveDB(db);
-  return result;
+// Replaces the whole database (used by seeding and admin import)
+export function saveDB(db){
+  return enqueue(()=> store.replace(db));
+}
+
+// Replaces the whole database with what build(current) resolves to. It runs in
+// the transaction queue, so nothing can change the database between the read
+// and the replace.
+export function replaceDB(build){
+  return enqueue(async ()=> store.replace(await build(await store.load())));
+}
+
+const pending = new AsyncLocalStorage();
+export function transact(mutator){
+  return enqueue(async ()=>{
+    const effects = [];
+    try {
+      const result = await pending.run(effects, ()=> store.transaction(mutator));
+      effects.forEach(runEffect);
+      return result;
+    } finally { effects.done = true; }
+  });
+}
+
+// Socket emits, timers and other side effects of a mutator: they run once its
+// transaction has been saved and are dropped if it fails. Outside a
+// transaction fn runs right away.
+export function afterCommit(fn){
+  const effects = pending.getStore();
+  if (effects && !effects.done) effects.push(fn);
+  else runEffect(fn);
+}
+// An effect may be async; its failure is logged, never left unhandled
+function runEffect(fn){
+  const failed = (e)=> console.error('[store] after-commit effect failed:', e);
+  try { Promise.resolve(fn()).catch(failed); } catch (e) { failed(e); }
+}
+
+// Read-only lookup of one collection, e.g. select('items', { ownerId }).
+// The sqlite driver turns this into an indexed query instead of loading
+// the whole database.
+export function select(table, where){
+  return store.select(table, where);
 }
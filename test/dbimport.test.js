@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, baselineDB, ADMIN } from './helpers.js';
+
+test('an import is checked before anything is replaced', async (t)=>{
+  const server = await startServer({ APPROVAL_DB_IMPORT: 'false' });
+  t.after(server.stop);
+  const { api } = server;
+  const admin = await server.login(ADMIN);
+  const fields = (r)=> r.body.fields.map(f=>`${f.field} ${f.message}`);
+
+  let r = await api(admin, '/api/admin/db/import', { db: {
+    users: [
+      { id: 'u_1', email: 'a@example.com', balance: 1 },
+      { id: 'u_1', email: 'A@example.com', balance: 1 },
+      { id: 'u_3' }
+    ],
+    items: [
+      { id: 'i1', price: 1, ownerId: 'u_1' },
+      { id: 'i1', price: -1 },
+      { id: 'i3', price: 1, ownerId: 'u_9' },
+      { id: 'i4', price: 1, ownerId: 'escrow:gifts' }
+    ],
+    history: []
+  } });
+  assert.equal(r.status, 400);
+  assert.deepEqual(fields(r), [
+    'db.users[1].id u_1 is duplicated',
+    'db.users[1].email A@example.com is duplicated',
+    'db.users[2].email is required',
+    'db.items[1].id i1 is duplicated',
+    'db.items[1].price must be a number >= 0',
+    'db.items[2].ownerId u_9 is not a user'
+  ]);
+
+  r = await api(admin, '/api/admin/db/import', { db: { ...baselineDB(), schemaVersion: 99 } });
+  assert.equal(r.status, 400);
+  assert.deepEqual(fields(r), ['db.schemaVersion database schema 99 is newer than this server (6)']);
+
+  r = await api(admin, '/api/admin/db/import', { db: { ...baselineDB(), schemaVersion: 6, payments: {} } });
+  assert.equal(r.status, 400);
+  assert.ok(fields(r).includes('db.payments must be an array'));
+
+  assert.equal((await api(admin, '/api/admin/db/import', { db: { users: [] } })).status, 400);
+
+  // A dry run describes the change and replaces nothing
+  r = await api(admin, '/api/admin/db/import', { db: baselineDB(), dryRun: true });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.schemaVersion, { from: 0, to: 6, applied: ['ledger', 'collections', 'tables', 'user-fields', 'offers', 'webhooks'] });
+  assert.deepEqual(r.body.ledger, { reconciles: true, mismatches: 0 });
+  assert.deepEqual(r.body.diff.users.ids.added, ['u_1', 'u_2']);
+  assert.equal(r.body.diff.items.added, 3);
+  assert.deepEqual((await api(admin, '/api/admin/db/snapshots')).body, []);
+  assert.equal((await api(admin, '/api/market/items')).body.total, 0);
+});
+
+test('an import can be undone by restoring the snapshot taken before it', async (t)=>{
+  const server = await startServer({ APPROVAL_DB_IMPORT: 'false' });
+  t.after(server.stop);
+  const { api } = server;
+  let admin = await server.login(ADMIN);
+  const { body: { item } } = await api(admin, '/api/admin/items/create', { name: 'Original', price: 1, collection: 'cats' });
+  const itemIds = async ()=> (await api(admin, '/api/market/items')).body.items.map(i=>i.id).sort();
+
+  const imported = await api(admin, '/api/admin/db/import', { db: baselineDB() });
+  assert.equal(imported.status, 200, JSON.stringify(imported.body));
+  assert.equal(imported.body.schemaVersion, 6);
+  assert.deepEqual(await itemIds(), ['cats-1', 'cats-2', 'thing-1']);
+  // The upload had no treasury, so one is opened like at startup
+  assert.ok((await api(admin, '/api/admin/users')).body.some(u=>u.id==='u_treasury'));
+  assert.deepEqual((await api(admin, '/api/admin/ledger/reconcile')).body.mismatches, []);
+
+  const { snapshotId } = imported.body;
+  const snaps = (await api(admin, '/api/admin/db/snapshots')).body;
+  assert.deepEqual(snaps.map(s=>[s.id, s.reason]), [[snapshotId, 'db.import']]);
+
+  const preview = await api(admin, '/api/admin/db/restore', { id: snapshotId, dryRun: true });
+  assert.equal(preview.status, 200);
+  // Both databases have a cats-1; the imported one is replaced by the original
+  assert.deepEqual(preview.body.diff.items.ids, { added: [], removed: ['cats-2', 'thing-1'], changed: [item.id] });
+  assert.equal(preview.body.snapshot.id, snapshotId);
+
+  const restored = await api(admin, '/api/admin/db/restore', { id: snapshotId });
+  assert.equal(restored.status, 200, JSON.stringify(restored.body));
+  admin = await server.login(ADMIN);
+  assert.deepEqual(await itemIds(), [item.id]);
+  // The restore snapshots the imported state in turn, so it can be undone too
+  const after = (await api(admin, '/api/admin/db/snapshots')).body;
+  assert.deepEqual(after.map(s=>[s.reason, s.tables.items]), [['db.restore', 3], ['db.import', 1]]);
+  assert.equal((await api(admin, '/api/admin/db/restore', { id: 'missing' })).status, 404);
+});
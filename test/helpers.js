@@ -0,0 +1,77 @@
+import { spawn } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const ADMIN = { email: 'admin@example.com', password: 'admin123' };
+export const ALICE = { email: 'alice@example.com', password: 'alice123' };
+export const BOB = { email: 'bob@example.com', password: 'bob123' };
+
+// A database from before schema versions: no ledger, collection names on items,
+// royalties in a map and users missing the later fields
+export const baselineDB = (pass = 'x')=> ({
+  users: [
+    { id: 'u_admin', name: 'Admin', email: ADMIN.email, pass, role: 'admin', balance: 0, owned: [] },
+    { id: 'u_1', name: 'Ann', email: 'ann@example.com', pass, balance: 12.5, owned: ['cats-1'] },
+    { id: 'u_2', name: 'Ben', email: 'ben@example.com', pass, balance: -2 }
+  ],
+  items: [
+    { id: 'cats-1', name: 'Cat', price: 1, collection: 'Cats', ownerId: 'u_1' },
+    { id: 'cats-2', name: 'Cat 2', price: 2, collection: 'Cats', ownerId: null },
+    { id: 'thing-1', name: 'Thing', price: 3, ownerId: null }
+  ],
+  history: [],
+  royalties: { Cats: 7.5, Dogs: 3 }
+});
+
+// Starts server.js on a random port with its database, audit log, snapshots and
+// mail in a fresh temp directory. `env` overrides anything else (.env included).
+// Pass the `dir` of a server stopped with { keep: true } to restart on its data.
+export async function startServer(env = {}, { dir } = {}){
+  dir ??= await fs.mkdtemp(path.join(os.tmpdir(), 'giftnft-test-'));
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT, stdio: ['ignore', 'pipe', 'pipe'],
+    env: {
+      ...process.env, PORT: String(port), STORE_DRIVER: 'json',
+      DB_PATH: path.join(dir, 'db.json'), SQLITE_PATH: path.join(dir, 'db.sqlite'), AUDIT_PATH: path.join(dir, 'audit.jsonl'),
+      SNAPSHOT_DIR: path.join(dir, 'snapshots'), MAIL_DIR: path.join(dir, 'mail'),
+      ADMIN_EMAIL: ADMIN.email, ADMIN_PASSWORD: ADMIN.password, ...env
+    }
+  });
+  let log = '';
+  const exited = new Promise(resolve=> child.on('exit', resolve));
+  await new Promise((resolve, reject)=>{
+    const timer = setTimeout(()=> reject(new Error('server did not start:\n'+log)), 15000);
+    child.stderr.on('data', d=>{ log += d; });
+    child.stdout.on('data', d=>{
+      log += d;
+      if (log.includes('server running on')) { clearTimeout(timer); resolve(); }
+    });
+    exited.then(code=>{ clearTimeout(timer); reject(new Error(`server exited with ${code}:\n${log}`)); });
+  });
+
+  const url = `http://localhost:${port}`;
+  // GET without a body, POST with one. Resolves to { status, body, headers }.
+  async function api(token, p, body, headers = {}){
+    const r = await fetch(url + p, {
+      method: body === undefined ? 'GET' : 'POST',
+      headers: { 'content-type': 'application/json', ...(token ? { authorization: 'Bearer ' + token } : {}), ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: r.status, body: await r.json(), headers: r.headers };
+  }
+  async function login({ email, password }){
+    const r = await api(null, '/api/auth/login', { email, password });
+    if (r.status !== 200) throw new Error(`login ${email} failed: ${JSON.stringify(r.body)}`);
+    return r.body.token;
+  }
+  async function stop({ keep = false } = {}){
+    child.kill();
+    await exited;
+    if (!keep) await fs.remove(dir);
+  }
+  return { url, dir, api, login, stop, log: ()=> log };
+}
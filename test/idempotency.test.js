@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, ADMIN, ALICE } from './helpers.js';
+
+const key = (k)=> ({ 'Idempotency-Key': k });
+
+test('a repeated Idempotency-Key replays the first response and runs nothing twice', async (t)=>{
+  let server = await startServer();
+  t.after(()=> server.stop());
+  let admin = await server.login(ADMIN);
+  const alice = await server.login(ALICE);
+  const { id: aliceId } = (await server.api(alice, '/api/me')).body;
+  const credit = (body, k = 'credit-1')=> server.api(admin, '/api/admin/users/balance', body, key(k));
+  const balance = async ()=> (await server.api(admin, '/api/admin/users')).body.find(u=>u.id===aliceId).balance;
+
+  const first = await credit({ userId: aliceId, delta: 5 });
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  assert.equal(first.headers.get('idempotent-replayed'), null);
+  // Key order in the body doesn't make it another request
+  const again = await credit({ delta: 5, userId: aliceId });
+  assert.equal(again.status, 200);
+  assert.equal(again.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(again.body, first.body);
+  assert.equal(await balance(), 5);
+
+  const other = await credit({ userId: aliceId, delta: 6 });
+  assert.equal(other.status, 409);
+  assert.match(other.body.error, /different request body/);
+  assert.equal(await balance(), 5);
+
+  // Keys are scoped to the caller and the endpoint
+  const dep = await server.api(alice, '/api/payments/deposit/request', { amountTon: 1 }, key('credit-1'));
+  assert.equal(dep.status, 200);
+  assert.equal(dep.headers.get('idempotent-replayed'), null);
+
+  // Stored responses survive a restart
+  await server.stop({ keep: true });
+  server = await startServer({}, { dir: server.dir });
+  admin = await server.login(ADMIN);
+  const later = await credit({ userId: aliceId, delta: 5 });
+  assert.equal(later.headers.get('idempotent-replayed'), 'true');
+  assert.equal(await balance(), 5);
+
+  assert.equal((await credit({ userId: aliceId, delta: 5 }, '')).status, 400);
+});
+
+test('a repeat that arrives while the first request is still running gets a 409', async (t)=>{
+  const server = await startServer({ PAYMENT_PROVIDER: 'mock', PAYMENT_WEBHOOK_SECRET: 'test-secret', PAYMENT_POLL_MS: '0', APPROVAL_WITHDRAW_TON: '1000' });
+  t.after(()=> server.stop());
+  const admin = await server.login(ADMIN);
+  const alice = await server.login(ALICE);
+  const { id: aliceId } = (await server.api(alice, '/api/me')).body;
+  await server.api(admin, '/api/admin/users/balance', { userId: aliceId, delta: 5 });
+  const wd = await server.api(alice, '/api/payments/withdraw/request', { amountTon: 2, tonAddress: 'hang-wallet' });
+
+  // The mock never settles payouts to hang-* addresses, so the first approve stays open
+  const body = { id: wd.body.payment.id };
+  server.api(admin, '/api/admin/payments/approve', body, key('approve-1')).catch(()=>{});
+  const status = async ()=> (await server.api(admin, '/api/admin/payments')).body.find(p=>p.id===body.id).status;
+  while (await status() !== 'processing') await new Promise(r=>setTimeout(r, 20));
+
+  const r = await server.api(admin, '/api/admin/payments/approve', body, key('approve-1'));
+  assert.equal(r.status, 409);
+  assert.match(r.body.error, /still in progress/);
+});
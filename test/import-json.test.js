@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startServer, ADMIN } from './helpers.js';
+
+const SCRIPT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'scripts', 'import-json.js');
+const Database = (await import('better-sqlite3').catch(()=>null))?.default;
+
+// Resolves to { code, out } instead of rejecting on a non-zero exit
+const importJson = (dir, ...args)=> new Promise(resolve=>{
+  execFile(process.execPath, [SCRIPT, ...args], { env: { ...process.env, SQLITE_PATH: path.join(dir, 'db.sqlite') } }, (e, stdout, stderr)=>{
+    resolve({ code: e ? e.code : 0, out: stdout + stderr });
+  });
+});
+
+test('db:import-json moves a json database into sqlite', { skip: !Database && 'better-sqlite3 is not installed' }, async (t)=>{
+  let server = await startServer();
+  t.after(()=> server.stop());
+  let admin = await server.login(ADMIN);
+  const { body: { item } } = await server.api(admin, '/api/admin/items/create', { name: 'Cat', price: 1, collection: 'cats' });
+  await server.stop({ keep: true });
+  const { dir } = server;
+  const file = path.join(dir, 'db.json');
+
+  await fs.writeJson(path.join(dir, 'other.json'), { users: [] });
+  let r = await importJson(dir, path.join(dir, 'other.json'));
+  assert.equal(r.code, 1);
+  assert.match(r.out, /does not look like a GiftNFT database/);
+
+  r = await importJson(dir, file);
+  assert.equal(r.code, 0, r.out);
+  assert.match(r.out, /Imported .* into sqlite \(users: 4, items: 1, /);
+  r = await importJson(dir, file);
+  assert.equal(r.code, 1);
+  assert.match(r.out, /already has 4 users; re-run with --force/);
+  assert.equal((await importJson(dir, file, '--force')).code, 0);
+
+  server = await startServer({ STORE_DRIVER: 'sqlite' }, { dir });
+  admin = await server.login(ADMIN);
+  const { body } = await server.api(admin, '/api/market/items');
+  assert.deepEqual(body.items.map(i=>[i.id, i.name]), [[item.id, 'Cat']]);
+  assert.deepEqual((await server.api(admin, '/api/admin/ledger/reconcile')).body.mismatches, []);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, ADMIN, ALICE, BOB } from './helpers.js';
+
+test('two buyers racing for one item: one gets it, the other is told it is sold', async (t)=>{
+  const server = await startServer();
+  t.after(server.stop);
+  const { api } = server;
+  const admin = await server.login(ADMIN);
+  const buyers = [await server.login(ALICE), await server.login(BOB)];
+  const ids = [];
+  for (const token of buyers){
+    const { body: me } = await api(token, '/api/me');
+    ids.push(me.id);
+    await api(admin, '/api/admin/users/balance', { userId: me.id, delta: 10 });
+  }
+  const { body: { item } } = await api(admin, '/api/admin/items/create', { name: 'Cat', price: 4, collection: 'cats' });
+
+  const results = await Promise.all(buyers.map(token=>api(token, '/api/tx/pay', { itemId: item.id, mode: 'buy' })));
+  assert.deepEqual(results.map(r=>r.status).sort((a,b)=>a-b), [200, 400]);
+  assert.equal(results.find(r=>r.status===400).body.error, 'Already sold');
+
+  const winner = ids[results.findIndex(r=>r.status===200)];
+  const { body } = await api(admin, '/api/market/items');
+  assert.equal(body.items.find(i=>i.id===item.id).ownerId, winner);
+  const balances = await Promise.all(buyers.map(async token=>(await api(token, '/api/me')).body.balance));
+  assert.deepEqual(balances.sort((a,b)=>a-b), [6, 10]);
+  assert.deepEqual((await api(admin, '/api/admin/ledger/reconcile')).body.mismatches, []);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import fs from 'fs-extra';
+import path from 'path';
+import { migrate, TABLES, SCHEMA_VERSION } from '../lib/migrations.js';
+import { reconcile } from '../lib/ledger.js';
+import { startServer, baselineDB, ADMIN } from './helpers.js';
+
+test('migrate takes a baseline database from schema 0 to the current one', ()=>{
+  const db = baselineDB();
+  assert.equal(SCHEMA_VERSION, 6);
+  assert.deepEqual(migrate(db), { from: 0, to: 6, applied: ['ledger', 'collections', 'tables', 'user-fields', 'offers', 'webhooks'] });
+  assert.equal(db.schemaVersion, 6);
+
+  // Balances that predate the ledger get opening entries, so it reconciles
+  assert.deepEqual(db.ledger.map(e=>[e.kind, e.amount, e.debit, e.credit]), [
+    ['opening', 12.5, 'equity:opening', 'user:u_1'],
+    ['opening', 2, 'user:u_2', 'equity:opening']
+  ]);
+  assert.equal(reconcile(db).ok, true);
+
+  // Collection names on items and the royalties map become collection records
+  const byName = Object.fromEntries(db.collections.map(c=>[c.name, c]));
+  assert.deepEqual(Object.keys(byName).sort(), ['Cats', 'Default', 'Dogs']);
+  assert.deepEqual([byName.Cats.royaltyPct, byName.Cats.minted], [7.5, 2]);
+  assert.deepEqual([byName.Dogs.royaltyPct, byName.Dogs.minted], [3, 0]);
+  assert.deepEqual([byName.Default.royaltyPct, byName.Default.minted], [null, 1]);
+  assert.deepEqual(db.items.map(it=>it.collectionId), [byName.Cats.id, byName.Cats.id, byName.Default.id]);
+  assert.equal(db.royalties, undefined);
+
+  for (const t of TABLES) assert.ok(Array.isArray(db[t]), `${t} exists`);
+  assert.deepEqual(db.users.map(u=>[u.role, u.balance, u.owned, u.gifts, u.banned]), [
+    ['admin', 0, [], 0, false], ['user', 12.5, ['cats-1'], 0, false], ['user', -2, [], 0, false]
+  ]);
+
+  assert.deepEqual(migrate(db), { from: 6, to: 6, applied: [] });
+  assert.equal(db.ledger.length, 2);
+  assert.throws(()=> migrate({ ...db, schemaVersion: 7 }), /newer than this server/);
+});
+
+test('the server migrates a baseline database on startup and snapshots it first', async (t)=>{
+  let server = await startServer();
+  t.after(()=> server.stop());
+  await server.stop({ keep: true });
+  await fs.writeJson(path.join(server.dir, 'db.json'), baselineDB(await bcrypt.hash(ADMIN.password, 4)));
+  server = await startServer({}, { dir: server.dir });
+  assert.match(server.log(), /\[migrations\] schema 0 -> 6: ledger, collections, tables, user-fields, offers, webhooks/);
+
+  const admin = await server.login(ADMIN);
+  const snaps = (await server.api(admin, '/api/admin/db/snapshots')).body;
+  assert.deepEqual(snaps.map(s=>[s.reason, s.schemaVersion, s.tables.users]), [['migrate', null, 3]]);
+  const rec = (await server.api(admin, '/api/admin/ledger/reconcile')).body;
+  assert.deepEqual(rec.mismatches, []);
+  // The treasury is seeded next to the migrated users
+  const users = (await server.api(admin, '/api/admin/users')).body;
+  assert.deepEqual(users.map(u=>u.id).sort(), ['u_1', 'u_2', 'u_admin', 'u_treasury']);
+});
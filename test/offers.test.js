@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, ADMIN, ALICE, BOB } from './helpers.js';
+
+// Alice owns a cat she bought for 1 TON; Bob (and the admin) have 10 TON to offer with
+async function setup(t){
+  const server = await startServer({ ROYALTY_DEFAULT_PCT: '10' });
+  t.after(server.stop);
+  const { api } = server;
+  const admin = await server.login(ADMIN);
+  const alice = await server.login(ALICE);
+  const bob = await server.login(BOB);
+  const ids = {};
+  for (const [name, token] of Object.entries({ admin, alice, bob })){
+    ids[name] = (await api(token, '/api/me')).body.id;
+    await api(admin, '/api/admin/users/balance', { userId: ids[name], delta: 10 });
+  }
+  const { body: { item } } = await api(admin, '/api/admin/items/create', { name: 'Cat', price: 1, collection: 'cats' });
+  assert.equal((await api(alice, '/api/tx/pay', { itemId: item.id, mode: 'buy' })).status, 200);
+  const balance = async (token)=> (await api(token, '/api/me')).body.balance;
+  const escrow = async ()=> (await api(admin, '/api/admin/ledger/reconcile')).body.system['escrow:offers'] ?? 0;
+  return { server, api, admin, alice, bob, ids, item, balance, escrow };
+}
+
+test('an offer can be countered and the counter accepted by the buyer', async (t)=>{
+  const { api, admin, alice, bob, ids, item, balance, escrow } = await setup(t);
+
+  let r = await api(bob, '/api/offers/make', { itemId: item.id, amount: 3, message: 'Nice cat' });
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  const offer = r.body.offer;
+  assert.deepEqual([offer.status, offer.amount, offer.ownerId, offer.expiresAt], ['pending', 3, ids.alice, null]);
+  assert.equal(await balance(bob), 7);
+  assert.equal(await escrow(), 3);
+  assert.equal((await api(bob, '/api/offers/make', { itemId: item.id, amount: 1 })).status, 409);
+  assert.equal((await api(alice, '/api/offers/make', { itemId: item.id, amount: 1 })).body.error, 'You own this item');
+  assert.deepEqual((await api(null, `/api/offers/item/${item.id}`)).body.map(o=>[o.id, o.amount]), [[offer.id, 3]]);
+  assert.deepEqual((await api(alice, '/api/offers/received')).body.map(o=>o.id), [offer.id]);
+
+  assert.equal((await api(bob, '/api/offers/counter', { offerId: offer.id, amount: 5 })).status, 403);
+  r = await api(alice, '/api/offers/counter', { offerId: offer.id, amount: 5, message: 'Make it 5' });
+  assert.equal(r.status, 200);
+  assert.deepEqual([r.body.offer.status, r.body.offer.price], ['countered', 5]);
+  assert.equal((await api(alice, '/api/offers/accept', { offerId: offer.id })).body.error, 'You countered this offer; wait for the buyer');
+
+  // Accepting tops the 3 TON hold up to the counter price
+  r = await api(bob, '/api/offers/accept', { offerId: offer.id });
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  assert.deepEqual([r.body.offer.status, r.body.price, r.body.royalty, r.body.proceeds], ['accepted', 5, 0.5, 4.5]);
+  assert.equal(await balance(bob), 5);
+  assert.equal(await balance(alice), 9 + 4.5);
+  assert.equal(await escrow(), 0);
+  const { body } = await api(admin, '/api/market/items');
+  assert.equal(body.items.find(i=>i.id===item.id).ownerId, ids.bob);
+  assert.equal((await api(bob, '/api/offers/accept', { offerId: offer.id })).body.error, 'Offer is accepted');
+  const types = (await api(bob, '/api/notifications')).body.map(n=>n.type);
+  assert.ok(types.includes('offer_countered') && types.includes('offer_accepted'), types.join());
+  assert.deepEqual((await api(admin, '/api/admin/ledger/reconcile')).body.mismatches, []);
+});
+
+test('open offers are closed and refunded when an admin transfers the item', async (t)=>{
+  const { api, admin, alice, bob, ids, item, balance, escrow } = await setup(t);
+  const fromBob = (await api(bob, '/api/offers/make', { itemId: item.id, amount: 2 })).body.offer;
+  const fromAdmin = (await api(admin, '/api/offers/make', { itemId: item.id, amount: 4, expiresInHours: 1 })).body.offer;
+  assert.equal(await escrow(), 6);
+
+  assert.equal((await api(admin, '/api/admin/transfer', { itemId: item.id, toUserId: ids.bob })).status, 200);
+  assert.equal(await escrow(), 0);
+  assert.equal(await balance(bob), 10);
+  assert.equal(await balance(admin), 10);
+  for (const [token, o] of [[bob, fromBob], [admin, fromAdmin]]){
+    const [made] = (await api(token, '/api/offers/made?status=all')).body;
+    assert.deepEqual([made.id, made.status, made.reason], [o.id, 'cancelled', 'transferred by admin']);
+  }
+  assert.deepEqual((await api(null, `/api/offers/item/${item.id}`)).body, []);
+  assert.equal((await api(alice, '/api/offers/accept', { offerId: fromAdmin.id })).body.error, 'Offer is cancelled');
+  assert.ok((await api(bob, '/api/notifications')).body.some(n=>n.type==='offer_cancelled' && n.payload.offerId===fromBob.id));
+  assert.deepEqual((await api(admin, '/api/admin/ledger/reconcile')).body.mismatches, []);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, ADMIN, ALICE } from './helpers.js';
+
+test('mock provider: deposit by callback, then withdraw', async (t)=>{
+  const server = await startServer({ PAYMENT_PROVIDER: 'mock', PAYMENT_WEBHOOK_SECRET: 'test-secret', PAYMENT_POLL_MS: '0', APPROVAL_WITHDRAW_TON: '1000' });
+  t.after(server.stop);
+  const { api } = server;
+  const admin = await server.login(ADMIN);
+  const alice = await server.login(ALICE);
+  const balance = async ()=> (await api(alice, '/api/me')).body.balance;
+  const payment = async (id)=> (await api(admin, '/api/admin/payments')).body.find(p=>p.id===id);
+  const transfer = (body)=> api(admin, '/api/admin/payments/mock/transfer', { via: 'callback', ...body });
+
+  const dep = await api(alice, '/api/payments/deposit/request', { amountTon: 5 });
+  assert.equal(dep.status, 200);
+  const { memo } = dep.body.instructions;
+
+  // An underpayment is credited and leaves the deposit pending
+  let r = await transfer({ memo, amountTon: 2, txHash: 'tx-1' });
+  assert.deepEqual(r.body.response.results, [{ txHash: 'tx-1', result: 'credited' }]);
+  assert.equal(await balance(), 2);
+  assert.equal((await payment(dep.body.payment.id)).status, 'pending');
+
+  // The same transfer reported twice is only credited once
+  r = await transfer({ memo, amountTon: 2, txHash: 'tx-1' });
+  assert.deepEqual(r.body.response.results, [{ txHash: 'tx-1', result: 'duplicate' }]);
+  assert.equal(await balance(), 2);
+
+  await transfer({ memo, amountTon: 3, txHash: 'tx-2' });
+  assert.equal(await balance(), 5);
+  assert.equal((await payment(dep.body.payment.id)).status, 'approved');
+
+  // A withdrawal is held on request and sent through the provider on approval
+  const wd = await api(alice, '/api/payments/withdraw/request', { amountTon: 2, tonAddress: 'UQ-alice-wallet' });
+  assert.equal(wd.status, 200);
+  assert.equal(await balance(), 3);
+  r = await api(admin, '/api/admin/payments/approve', { id: wd.body.payment.id });
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  assert.equal(r.body.payment.status, 'approved');
+  assert.match(r.body.payment.txHash, /^[0-9a-f]{64}$/);
+  assert.equal((await api(admin, '/api/admin/payments/approve', { id: wd.body.payment.id })).status, 400);
+  assert.equal(await balance(), 3);
+
+  // A refused payout goes back to pending and can still be rejected (refunded)
+  const bad = await api(alice, '/api/payments/withdraw/request', { amountTon: 1, tonAddress: 'fail-wallet' });
+  r = await api(admin, '/api/admin/payments/approve', { id: bad.body.payment.id });
+  assert.equal(r.status, 502);
+  assert.equal((await payment(bad.body.payment.id)).status, 'pending');
+  assert.equal(await balance(), 2);
+  assert.equal((await api(admin, '/api/admin/payments/reject', { id: bad.body.payment.id })).status, 200);
+  assert.equal(await balance(), 3);
+
+  const rec = (await api(admin, '/api/admin/ledger/reconcile')).body;
+  assert.deepEqual(rec.mismatches, []);
+  assert.equal(rec.system.external, -5 + 2);
+});
+
+test('a withdrawal cut off by a restart mid-payout can be resolved', async (t)=>{
+  const env = { PAYMENT_PROVIDER: 'mock', PAYMENT_WEBHOOK_SECRET: 'test-secret', PAYMENT_POLL_MS: '0', APPROVAL_WITHDRAW_TON: '1000' };
+  let server = await startServer(env);
+  t.after(()=> server.stop());
+  let admin = await server.login(ADMIN);
+  let alice = await server.login(ALICE);
+  const { id: aliceId } = (await server.api(alice, '/api/me')).body;
+  await server.api(admin, '/api/admin/users/balance', { userId: aliceId, delta: 10 });
+
+  const ids = [];
+  for (const amountTon of [3, 4]){
+    const wd = await server.api(alice, '/api/payments/withdraw/request', { amountTon, tonAddress: 'hang-wallet' });
+    ids.push(wd.body.payment.id);
+    // The mock never answers these, so the approve call stays open until the server goes away
+    server.api(admin, '/api/admin/payments/approve', { id: wd.body.payment.id }).catch(()=>{});
+  }
+  const status = async (id)=> (await server.api(admin, '/api/admin/payments')).body.find(p=>p.id===id).status;
+  for (const id of ids) while (await status(id) !== 'processing') await new Promise(r=>setTimeout(r, 20));
+  let r = await server.api(admin, '/api/admin/payments/resolve', { id: ids[0], outcome: 'refund' });
+  assert.equal(r.status, 409, 'a payout in flight cannot be resolved');
+
+  await server.stop({ keep: true });
+  server = await startServer(env, { dir: server.dir });
+  admin = await server.login(ADMIN);
+  alice = await server.login(ALICE);
+  const balance = async ()=> (await server.api(alice, '/api/me')).body.balance;
+  assert.equal(await balance(), 3);
+
+  r = await server.api(admin, '/api/admin/payments/resolve', { id: ids[0], outcome: 'refund', note: 'never left the wallet' });
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  assert.equal(r.body.payment.status, 'rejected');
+  assert.equal(await balance(), 6);
+
+  assert.equal((await server.api(admin, '/api/admin/payments/resolve', { id: ids[1], outcome: 'sent' })).status, 400);
+  r = await server.api(admin, '/api/admin/payments/resolve', { id: ids[1], outcome: 'sent', txHash: 'tx-out' });
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  assert.equal(r.body.payment.status, 'approved');
+  assert.equal(r.body.payment.txHash, 'tx-out');
+  assert.equal(await balance(), 6);
+  assert.equal((await server.api(admin, '/api/admin/payments/resolve', { id: ids[1], outcome: 'refund' })).status, 400);
+
+  const rec = (await server.api(admin, '/api/admin/ledger/reconcile')).body;
+  assert.deepEqual(rec.mismatches, []);
+  assert.equal(rec.system['escrow:withdraw'], 0);
+});
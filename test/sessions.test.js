@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, ALICE, BOB } from './helpers.js';
+
+test('refresh tokens rotate, and replaying a used one revokes the session', async (t)=>{
+  const server = await startServer();
+  t.after(server.stop);
+  const { api } = server;
+  const refresh = (refreshToken)=> api(null, '/api/auth/refresh', { refreshToken });
+
+  const first = (await api(null, '/api/auth/login', ALICE)).body;
+  assert.ok(first.token && first.refreshToken && first.expiresIn > 0);
+  const other = await server.login(ALICE);
+
+  // Each refresh hands out a new pair for the same session
+  let r = await refresh(first.refreshToken);
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  const second = r.body;
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal((await api(second.token, '/api/me')).status, 200);
+  r = await refresh(second.refreshToken);
+  assert.equal(r.status, 200);
+  const third = r.body;
+  let sessions = (await api(third.token, '/api/auth/sessions')).body;
+  assert.equal(sessions.length, 2);
+  assert.equal(sessions.filter(s=>s.current).length, 1);
+
+  // A used token replayed (e.g. stolen) ends the whole session, including the newest tokens
+  r = await refresh(first.refreshToken);
+  assert.equal(r.status, 401);
+  assert.match(r.body.error, /reused/);
+  assert.equal((await api(third.token, '/api/me')).status, 401);
+  assert.equal((await refresh(third.refreshToken)).status, 401);
+
+  // Other sessions of the same user keep working
+  sessions = (await api(other, '/api/auth/sessions')).body;
+  assert.equal(sessions.length, 1);
+  assert.ok(sessions[0].current);
+  assert.equal((await refresh('nope.nope')).status, 401);
+});
+
+test('failed logins lock the account, then the IP', async (t)=>{
+  const server = await startServer({ LOGIN_MAX_PER_ACCOUNT: '3', LOGIN_MAX_PER_IP: '8' });
+  t.after(server.stop);
+  const { api } = server;
+  const login = (email, password)=> api(null, '/api/auth/login', { email, password });
+
+  // A successful login clears the account's failures
+  for (let i = 0; i < 2; i++) assert.equal((await login(ALICE.email, 'wrong')).status, 401);
+  assert.equal((await login(ALICE.email, ALICE.password)).status, 200);
+  for (let i = 0; i < 2; i++) assert.equal((await login(ALICE.email, 'wrong')).status, 401);
+  assert.equal((await login(ALICE.email, ALICE.password)).status, 200);
+
+  // LOGIN_MAX_PER_ACCOUNT failures in a row lock the email, whatever its case,
+  // even for the right password
+  for (let i = 0; i < 3; i++) assert.equal((await login(ALICE.email, 'wrong')).status, 401);
+  let r = await login(ALICE.email.toUpperCase(), ALICE.password);
+  assert.equal(r.status, 429);
+  assert.ok(r.body.retryAfterSec > 0);
+  assert.equal(r.headers.get('retry-after'), String(r.body.retryAfterSec));
+  assert.equal((await login(BOB.email, BOB.password)).status, 200, 'other accounts are not locked');
+
+  // Failures for different emails add up per IP (7 so far, one more locks it)
+  assert.equal((await login('nobody@example.com', 'wrong')).status, 401);
+  r = await login(BOB.email, BOB.password);
+  assert.equal(r.status, 429);
+  assert.ok(r.headers.get('retry-after'));
+});
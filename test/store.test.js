@@ -0,0 +1,137 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { startServer, ADMIN } from './helpers.js';
+
+test('json store: a corrupt db.json is restored from the newest backup', async (t)=>{
+  const env = { DB_BACKUP_INTERVAL_MIN: '0' };
+  let server = await startServer(env);
+  t.after(()=> server.stop());
+  let admin = await server.login(ADMIN);
+  const { body: { item } } = await server.api(admin, '/api/admin/items/create', { name: 'Cat', price: 1, collection: 'cats' });
+  assert.equal((await server.api(admin, '/api/admin/items/update', { id: item.id, name: 'Renamed cat' })).status, 200);
+
+  await server.stop({ keep: true });
+  const file = path.join(server.dir, 'db.json');
+  const text = await fs.readFile(file, 'utf-8');
+  await fs.writeFile(file, text.slice(0, text.length / 2));
+  server = await startServer(env, { dir: server.dir });
+  assert.match(server.log(), /is corrupt .*restoring from .*db\.json\.1\.bak/);
+  assert.ok((await fs.readdir(server.dir)).some(f=>f.startsWith('db.json.corrupt-')), 'the corrupt file is kept aside');
+
+  // Backup #1 is the state before the last save, so the item is back with its old name
+  admin = await server.login(ADMIN);
+  const { body } = await server.api(admin, '/api/market/items');
+  assert.deepEqual(body.items.map(i=>[i.id, i.name]), [[item.id, 'Cat']]);
+});
+
+test('json store: backups rotate once per interval, not on every save', async (t)=>{
+  const server = await startServer({ DB_BACKUP_INTERVAL_MIN: '10', DB_BACKUPS: '3' });
+  t.after(()=> server.stop());
+  const admin = await server.login(ADMIN);
+  for (let i = 0; i < 5; i++) await server.api(admin, '/api/admin/items/create', { name: 'Cat '+i, price: 1, collection: 'cats' });
+  const backups = (await fs.readdir(server.dir)).filter(f=>f.endsWith('.bak'));
+  assert.deepEqual(backups, ['db.json.1.bak']);
+});
+
+// The adapters read DB_PATH / SQLITE_PATH when they are imported
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'giftnft-store-'));
+process.env.DB_PATH = path.join(dir, 'db.json');
+process.env.SQLITE_PATH = path.join(dir, 'db.sqlite');
+const drivers = { json: (await import('../lib/store/json.js')).default, sqlite: (await import('../lib/store/sqlite.js')).default };
+const Database = (await import('better-sqlite3').catch(()=>null))?.default;
+after(async ()=>{ drivers.sqlite.close(); await fs.remove(dir); });
+
+const fixture = ()=> ({
+  schemaVersion: 6, paymentsCursor: 0,
+  users: [
+    { id: 'u1', name: 'Ann', email: 'ann@example.com', pass: 'h1', role: 'user', balance: 5, owned: ['i1'], gifts: 0, banned: false, prefs: { lang: 'en' }, referrer: 'u2' },
+    { id: 'u2', name: 'Ben', email: 'ben@example.com', pass: 'h2', role: 'user', balance: 0, owned: [], gifts: 2, banned: true }
+  ],
+  items: [
+    { id: 'i1', name: 'Cat', price: 1, ownerId: 'u1', listing: { sellerId: 'u1', price: 2, ts: 1 } },
+    { id: 'i2', name: 'Dog', price: 2, ownerId: null }
+  ],
+  history: [{ userId: 'u1', t: 'one', ts: 1 }, { userId: 'u2', t: 'two', ts: 2 }],
+  payments: [{ id: 'p1', userId: 'u1', kind: 'deposit', amountTon: 1, status: 'pending', ts: 1, note: null }],
+  ledger: [{ id: 'l1', kind: 'deposit', amount: 1, debit: 'external', credit: 'user:u1', ref: null, actor: null, ts: 1 }],
+  approvals: [{ id: 'a1', status: 'pending' }, { id: 'a2', status: 'approved' }]
+});
+const ids = (rows)=> rows.map(r=>r.id);
+
+for (const [name, store] of Object.entries(drivers)){
+  const skip = name==='sqlite' && !Database && 'better-sqlite3 is not installed';
+
+  test(`${name} store: records round-trip, with nulls kept only where the schema says so`, { skip }, async ()=>{
+    await store.replace(fixture());
+    const db = await store.load();
+    assert.deepEqual(db.users, fixture().users);
+    assert.deepEqual(db.items, fixture().items);
+    assert.deepEqual(db.ledger, fixture().ledger);
+    // sqlite drops a null column that isn't listed in keepNull; json keeps it
+    assert.equal(db.payments[0].note ?? null, null);
+    assert.equal('note' in db.payments[0], name==='json');
+    assert.equal(db.schemaVersion, 6);
+
+    assert.deepEqual(ids(await store.select('items', { ownerId: null })), ['i2']);
+    assert.deepEqual(ids(await store.select('users', { banned: true })), ['u2']);
+    // Fields without a column (kept in sqlite's extra) can still be filtered on
+    assert.deepEqual(ids(await store.select('users', { referrer: 'u2' })), ['u1']);
+    assert.deepEqual(ids(await store.select('approvals', { status: 'pending' })), ['a1']);
+  });
+
+  test(`${name} store: a transaction writes what its mutator changed and keeps the rest`, { skip }, async ()=>{
+    await store.replace(fixture());
+    const result = await store.transaction(async db=>{
+      db.users[0].balance = 4;
+      db.items = db.items.filter(i=>i.id!=='i2');
+      db.history.push({ userId: 'u1', t: 'three', ts: 3 });
+      db.paymentsCursor = 7;
+      return 'done';
+    });
+    assert.equal(result, 'done');
+    let db = await store.load();
+    assert.deepEqual(db.users.map(u=>u.balance), [4, 0]);
+    assert.deepEqual(ids(db.items), ['i1']);
+    assert.deepEqual(db.history.map(h=>h.t), ['one', 'two', 'three']);
+    assert.equal(db.paymentsCursor, 7);
+    assert.deepEqual(db.payments.map(p=>p.status), ['pending']);
+
+    // Removing from the front of a keyless table rewrites it
+    await store.transaction(async db=>{ db.history.shift(); });
+    db = await store.load();
+    assert.deepEqual(db.history.map(h=>h.t), ['two', 'three']);
+  });
+
+  test(`${name} store: a throwing mutator writes nothing`, { skip }, async ()=>{
+    await store.replace(fixture());
+    await assert.rejects(store.transaction(async db=>{
+      db.users[0].balance = 99;
+      db.history.push({ userId: 'u1', t: 'lost', ts: 9 });
+      throw new Error('boom');
+    }), /boom/);
+    const db = await store.load();
+    assert.equal(db.users[0].balance, 5);
+    assert.equal(db.history.length, 2);
+  });
+}
+
+test('sqlite store: a mutator reads each table the first time it touches it', { skip: !Database && 'better-sqlite3 is not installed' }, async ()=>{
+  const store = drivers.sqlite;
+  await store.replace(fixture());
+  await store.transaction(async db=>{
+    assert.equal(db.schemaVersion, 6);
+    // Written by another connection after the transaction started but before items was touched
+    const other = new Database(process.env.SQLITE_PATH);
+    other.prepare(`INSERT INTO items (id, name, price) VALUES ('i9', 'Fox', 3)`).run();
+    other.close();
+    assert.deepEqual(ids(db.items), ['i1', 'i2', 'i9']);
+    db.history = [{ userId: 'u2', t: 'replaced', ts: 5 }];
+  });
+  const db = await store.load();
+  assert.deepEqual(ids(db.items), ['i1', 'i2', 'i9']);
+  assert.deepEqual(db.history.map(h=>h.t), ['replaced']);
+  assert.deepEqual(ids(db.users), ['u1', 'u2']);
+});
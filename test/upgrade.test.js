@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeRule, rollUpgrade } from '../lib/upgrade.js';
+import { startServer, ADMIN, ALICE } from './helpers.js';
+
+const RULE = {
+  maxLevel: 10, baseCost: 0.1, costPerLevel: 0.1, successRates: [0.6, 0.4], onFailure: 'downgrade',
+  traitChance: 0.5, traits: { background: [{ value: 'Gold', weight: 1 }, { value: 'Blue', weight: 3 }], rarity: [{ value: 'Epic' }, { value: 'Common' }] }
+};
+
+test('rollUpgrade gives the same outcome for the same seed', ()=>{
+  const { rule } = normalizeRule(RULE);
+  const item = { id: 'cats-1', level: 1 };
+  for (let i = 0; i < 20; i++) assert.deepEqual(rollUpgrade(rule, item, 'seed-'+i), rollUpgrade(rule, item, 'seed-'+i));
+  const outcomes = new Set(Array.from({ length: 20 }, (_, i)=> rollUpgrade(rule, item, 'seed-'+i).success));
+  assert.deepEqual([...outcomes].sort(), [false, true]);
+});
+
+test('every upgrade attempt can be reproduced from its history entry', async (t)=>{
+  const server = await startServer({ UPGRADE_SEED: 'repro' });
+  t.after(server.stop);
+  const { api } = server;
+  const admin = await server.login(ADMIN);
+  const alice = await server.login(ALICE);
+  const { body: me } = await api(alice, '/api/me');
+
+  assert.equal((await api(admin, '/api/admin/upgrade-rules', { collection: 'cats', rule: RULE })).status, 200);
+  await api(admin, '/api/admin/users/balance', { userId: me.id, delta: 20 });
+  const { body: { item } } = await api(admin, '/api/admin/items/create', { name: 'Cat', price: 1, collection: 'cats' });
+  assert.equal((await api(alice, '/api/tx/pay', { itemId: item.id, mode: 'buy' })).status, 200);
+
+  const attempts = [];
+  for (let i = 0; i < 12; i++){
+    const r = await api(alice, '/api/nft/upgrade', { id: item.id });
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+    attempts.push(r.body.outcome);
+  }
+  assert.ok(attempts.some(o=>o.success) && attempts.some(o=>!o.success), 'expected both outcomes in 12 attempts');
+
+  const rule = (await api(admin, '/api/admin/upgrade-rules')).body.cats;
+  const history = (await api(alice, '/api/me/history')).body.filter(h=>h.kind==='upgrade').reverse();
+  assert.equal(history.length, attempts.length);
+  history.forEach((h, i)=>{
+    assert.equal(h.seed, `repro:${item.id}:${i+1}`);
+    const again = rollUpgrade(rule, { ...item, level: h.fromLevel }, h.seed);
+    assert.deepEqual(again, attempts[i]);
+    assert.deepEqual(again, { seed: h.seed, roll: h.roll, chance: h.chance, success: h.success, fromLevel: h.fromLevel, toLevel: h.toLevel, traits: h.traits });
+  });
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { verifySignature, SIGNATURE_HEADER } from '../lib/webhooks.js';
+import { startServer, ADMIN, ALICE } from './helpers.js';
+
+// Records every POST; answers 500 while `failing` is above 0 (or always when it is Infinity),
+// after `hold` (a promise) settles if one is set
+async function startReceiver(){
+  const received = [];
+  const receiver = { received, failing: 0 };
+  const server = http.createServer((req, res)=>{
+    let raw = '';
+    req.on('data', c=>{ raw += c; });
+    req.on('end', async ()=>{
+      received.push({ at: Date.now(), headers: req.headers, raw, body: JSON.parse(raw) });
+      await receiver.hold;
+      const fail = receiver.failing > 0;
+      if (fail) receiver.failing--;
+      res.writeHead(fail ? 500 : 200).end(fail ? 'try again' : 'ok');
+    });
+  });
+  await new Promise(r=>server.listen(0, '127.0.0.1', r));
+  receiver.url = `http://127.0.0.1:${server.address().port}/hook`;
+  receiver.close = ()=> new Promise(r=>server.close(r));
+  return receiver;
+}
+
+const waitFor = async (check, ms = 10000)=>{
+  const until = Date.now() + ms;
+  for (;;){
+    const v = await check();
+    if (v) return v;
+    if (Date.now() > until) throw new Error('timed out waiting');
+    await new Promise(r=>setTimeout(r, 20));
+  }
+};
+
+test('webhooks: signed deliveries, retries with backoff and disabling', async (t)=>{
+  const receiver = await startReceiver();
+  t.after(receiver.close);
+  const server = await startServer({ WEBHOOK_RETRY_BASE_MS: '100', WEBHOOK_MAX_ATTEMPTS: '3' });
+  t.after(server.stop);
+  const { api } = server;
+  const admin = await server.login(ADMIN);
+  const alice = await server.login(ALICE);
+  const { id: aliceId } = (await api(alice, '/api/me')).body;
+  const ban = async (banned)=> assert.equal((await api(admin, '/api/admin/users/ban', { userId: aliceId, banned })).status, 200);
+  const deliveries = async ()=> (await api(admin, `/api/admin/webhooks/deliveries?webhookId=${hook.id}`)).body;
+  const settled = (eventId)=> waitFor(async ()=>{
+    const [d] = (await deliveries()).filter(x=>x.eventId===eventId);
+    return d && d.status!=='pending' && d;
+  });
+
+  const created = await api(admin, '/api/admin/webhooks/create', { url: receiver.url, events: ['user.banned'] });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  const hook = created.body.webhook;
+  assert.match(hook.secret, /^whsec_/);
+
+  // The body is signed with the secret over "<t>.<raw body>"
+  await ban(true);
+  const first = await waitFor(()=>receiver.received[0]);
+  assert.equal(first.body.type, 'user.banned');
+  assert.equal(first.body.data.userId, aliceId);
+  assert.equal(first.headers['x-giftnft-event'], 'user.banned');
+  assert.equal(first.headers['x-giftnft-version'], '1');
+  const signature = first.headers[SIGNATURE_HEADER.toLowerCase()];
+  assert.ok(verifySignature(hook.secret, signature, first.raw));
+  assert.ok(!verifySignature(hook.secret, signature, first.raw.replace(aliceId, 'u_other')));
+  assert.ok(!verifySignature('whsec_wrong', signature, first.raw));
+  assert.ok(!verifySignature(hook.secret, signature, first.raw, { now: Date.now() + 600000 }), 'an old signature is a replay');
+  let d = await settled(first.body.id);
+  assert.equal(d.status, 'delivered');
+  assert.equal(d.id, first.headers['x-giftnft-delivery']);
+
+  // Failures are retried with the same event id, waiting twice as long each time
+  await ban(false);
+  receiver.failing = 2;
+  await ban(true);
+  d = await settled((await waitFor(()=>receiver.received[1])).body.id);
+  assert.equal(d.status, 'delivered');
+  assert.equal(d.attempts, 3);
+  const tries = receiver.received.slice(1);
+  assert.equal(tries.length, 3);
+  assert.equal(new Set(tries.map(r=>r.body.id)).size, 1);
+  assert.ok(tries[1].at - tries[0].at >= 95, `first retry after ${tries[1].at - tries[0].at} ms`);
+  assert.ok(tries[2].at - tries[1].at >= 195, `second retry after ${tries[2].at - tries[1].at} ms`);
+  const { log } = (await api(admin, `/api/admin/webhooks/deliveries/${d.id}`)).body;
+  assert.deepEqual(log.map(l=>l.status), [500, 500, 200]);
+
+  // ...and given up on after WEBHOOK_MAX_ATTEMPTS
+  await ban(false);
+  receiver.failing = Infinity;
+  await ban(true);
+  d = await settled((await waitFor(()=>receiver.received[4])).body.id);
+  assert.equal(d.status, 'failed');
+  assert.equal(d.attempts, 3);
+  assert.equal(receiver.received.length, 7);
+
+  // A retry due after the webhook was disabled is dropped instead of sent
+  let release;
+  receiver.hold = new Promise(r=>{ release = r; });
+  await ban(false);
+  await ban(true);
+  const last = await waitFor(()=>receiver.received[7]);
+  assert.equal((await api(admin, '/api/admin/webhooks/update', { id: hook.id, active: false })).status, 200);
+  release();
+  d = await settled(last.body.id);
+  assert.equal(d.status, 'failed');
+  assert.equal(d.lastError, 'Webhook is disabled');
+  assert.equal(receiver.received.length, 8);
+  assert.equal((await api(admin, '/api/admin/webhooks/deliveries/redeliver', { id: d.id })).status, 409);
+
+  // A disabled webhook gets no new events, only explicit tests
+  receiver.failing = 0;
+  await ban(false);
+  await ban(true);
+  assert.equal((await deliveries()).length, 4);
+  assert.equal((await api(admin, '/api/admin/webhooks/test', { id: hook.id })).status, 200);
+  const probe = await waitFor(()=>receiver.received[8]);
+  assert.equal(probe.body.type, 'webhook.test');
+  assert.ok(verifySignature(hook.secret, probe.headers[SIGNATURE_HEADER.toLowerCase()], probe.raw));
+  assert.equal(receiver.received.length, 9);
+});